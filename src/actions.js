@@ -0,0 +1,75 @@
+// ============================================
+// NOTIFICATION ACTIONS - snooze / dismiss from the push itself
+// ============================================
+//
+// Reminder pushes carry "snooze" and "dismiss" buttons plus an action token.
+// A tap POSTs { action, token } to /api/notifications/:id/action, so no
+// login is needed. Tokens are HMAC-signed with ACTION_TOKEN_SECRET:
+//
+//   base64url(userId) "." issuedAt "." signature
+//
+// The signature also covers the notification id. Each push gets a fresh
+// token, and a notification only accepts tokens issued after its last
+// action, so every push can be acted on once.
+
+const crypto = require("crypto");
+
+const NOTIFICATION_ACTIONS = ["snooze", "dismiss"];
+
+const SNOOZE_DEFAULT_MINUTES = 10;
+const SNOOZE_MAX_MINUTES = 24 * 60;
+
+const ACTION_TOKEN_TTL_MS = 7 * 24 * 60 * 60000;
+
+// iOS category the app registers with the snooze/dismiss actions
+const APNS_ACTION_CATEGORY = "REMINDER_ACTIONS";
+
+function sign(secret, userId, notificationId, issuedAt) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${userId}\n${notificationId}\n${issuedAt}`)
+    .digest("base64url");
+}
+
+/**
+ * Token letting whoever holds the push act on this one notification
+ */
+function createActionToken(secret, { userId, notificationId }, now) {
+  const encodedUserId = Buffer.from(userId).toString("base64url");
+  return `${encodedUserId}.${now}.${sign(secret, userId, notificationId, now)}`;
+}
+
+/**
+ * Returns { userId, issuedAt } for a valid, unexpired token for this
+ * notification, otherwise null
+ */
+function verifyActionToken(secret, token, notificationId, now) {
+  const parts = typeof token === "string" ? token.split(".") : [];
+  if (parts.length !== 3 || !/^\d+$/.test(parts[1])) {
+    return null;
+  }
+  const userId = Buffer.from(parts[0], "base64url").toString();
+  const issuedAt = Number(parts[1]);
+  if (!userId || now - issuedAt > ACTION_TOKEN_TTL_MS) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(secret, userId, notificationId, issuedAt));
+  const provided = Buffer.from(parts[2]);
+  if (
+    provided.length !== expected.length ||
+    !crypto.timingSafeEqual(provided, expected)
+  ) {
+    return null;
+  }
+  return { userId, issuedAt };
+}
+
+module.exports = {
+  NOTIFICATION_ACTIONS,
+  SNOOZE_DEFAULT_MINUTES,
+  SNOOZE_MAX_MINUTES,
+  APNS_ACTION_CATEGORY,
+  createActionToken,
+  verifyActionToken,
+};
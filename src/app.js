@@ -0,0 +1,401 @@
+// ============================================
+// HTTP APP - trigger, REST API, debug and health routes
+// ============================================
+
+const crypto = require("crypto");
+const express = require("express");
+const admin = require("firebase-admin");
+const { createNotificationsRouter } = require("./routes/notifications");
+const { createDevicesRouter } = require("./routes/devices");
+const { createGroupsRouter } = require("./routes/groups");
+const { createActionsRouter } = require("./routes/actions");
+const { createAdminRouter } = require("./routes/admin");
+const { requireAdmin, requireCronSecret } = require("./auth");
+const { createReadinessCheck, createDrainTracker } = require("./health");
+const { config: defaultConfig } = require("./config");
+const { redactToken } = require("./redact");
+const { renderMetrics, CONTENT_TYPE } = require("./metrics");
+const { logger } = require("./logger");
+
+/**
+ * Express app for the service. `sweep` comes from createNotificationSweep,
+ * `cleanup` (optional) from createRetentionCleanup; `scheduler` (optional)
+ * only feeds the health check. Sweeps and cleanups started here are
+ * registered with `drainTracker`, which shutdown drains.
+ */
+function createApp({
+  db,
+  auth,
+  messaging,
+  sweep,
+  cleanup = null,
+  scheduler = null,
+  config = defaultConfig,
+  readiness = createReadinessCheck({ db, messaging }),
+  drainTracker = createDrainTracker(),
+}) {
+  const app = express();
+  const { secrets } = config;
+  const adminAccess = requireAdmin({ auth, apiKey: secrets.adminApiKey });
+
+  // Debug/legacy routes are off unless ENABLE_DEBUG_ROUTES=true, and always
+  // require admin access (ADMIN_API_KEY or an `admin` custom claim)
+  const debugAccess = [
+    (req, res, next) =>
+      config.debugRoutes
+        ? next()
+        : res.status(404).json({ success: false, error: "Not found" }),
+    adminAccess,
+  ];
+
+  // Dry-run plans show every due reminder's user, content and devices, so
+  // they need admin access even where the cron trigger is open
+  const dryRunAccess = (req, res, next) =>
+    req.query.dryRun === "true" ? adminAccess(req, res, next) : next();
+
+  // Once shutdown starts, triggers go to another instance (or the next
+  // cron run) instead of starting work this one would have to drain
+  const rejectWhileDraining = (req, res, next) => {
+    if (!drainTracker.isDraining()) {
+      return next();
+    }
+    res
+      .status(503)
+      .set("Retry-After", "5")
+      .json({ success: false, error: "Shutting down" });
+  };
+
+  if (!secrets.cron) {
+    logger.warn("CRON_SECRET not set - /trigger-notifications is public");
+  }
+
+  // MAIN ENDPOINT for cron-job.org to trigger (secret in X-Cron-Secret
+  // header). ?dryRun=true (admin only) returns the sweep's plan without
+  // sending or writing anything.
+  app.get(
+    "/trigger-notifications",
+    requireCronSecret(secrets.cron),
+    dryRunAccess,
+    rejectWhileDraining,
+    async (req, res) => {
+      const sweepId = crypto.randomUUID();
+      const dryRun = req.query.dryRun === "true";
+      logger.info("Trigger endpoint called", { sweepId, dryRun });
+
+      try {
+        const result = await drainTracker.track(
+          sweep.checkAndSendNotifications({ sweepId, dryRun }),
+        );
+        res.status(200).json({
+          success: true,
+          ...(dryRun ? { dryRun: true, plan: result } : { sent: result }),
+          sweepId,
+          timestamp: new Date().toISOString(),
+        });
+      } catch (error) {
+        logger.error("Error in trigger endpoint", { sweepId, error });
+        res.status(500).json({
+          success: false,
+          error: error.message,
+          sweepId,
+          timestamp: new Date().toISOString(),
+        });
+      }
+    },
+  );
+
+  // Retention cleanup (secret in X-Cleanup-Secret header). It deletes data,
+  // so unlike the trigger it is off unless CLEANUP_SECRET is set.
+  // ?dryRun=true reports what would be removed without writing anything.
+  if (cleanup && secrets.cleanup) {
+    app.post(
+      "/cleanup-notifications",
+      requireCronSecret(secrets.cleanup, "X-Cleanup-Secret"),
+      rejectWhileDraining,
+      async (req, res) => {
+        const dryRun = req.query.dryRun === "true";
+        logger.info("Cleanup endpoint called", { dryRun });
+
+        try {
+          const report = await drainTracker.track(
+            cleanup.runCleanup({ dryRun }),
+          );
+          res.status(200).json({
+            success: true,
+            ...report,
+            timestamp: new Date().toISOString(),
+          });
+        } catch (error) {
+          logger.error("Error in cleanup endpoint", { error });
+          res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString(),
+          });
+        }
+      },
+    );
+  }
+
+  // Notification management API (Firebase ID token required)
+  app.use(
+    "/api/users/:uid/notifications",
+    createNotificationsRouter({ db, auth: auth }),
+  );
+
+  // Device / FCM token registration (Firebase ID token required)
+  app.use("/api/devices", createDevicesRouter({ db, auth: auth, messaging }));
+
+  // Group broadcasts and mutes (Firebase ID token, group members only)
+  app.use("/api/groups", createGroupsRouter({ db, auth, messaging }));
+
+  // Snooze/dismiss callback from the push itself (action token, no login).
+  // Without ACTION_TOKEN_SECRET reminders carry no buttons and this is off.
+  if (secrets.actionToken) {
+    app.use(
+      "/api/notifications",
+      createActionsRouter({ db, secret: secrets.actionToken }),
+    );
+  }
+
+  // Admin dashboard: paginated search and aggregate stats (admin access)
+  app.use(
+    "/api/admin",
+    createAdminRouter({ db, auth, apiKey: secrets.adminApiKey }),
+  );
+
+  // Legacy endpoints (keeping for backward compatibility and debugging).
+  // These load whole collection groups; dashboards should use /api/admin.
+
+  app.get("/users", debugAccess, async (req, res) => {
+    logger.debug("Fetching users from root collection");
+
+    try {
+      const usersSnapshot = await db.collection("users").get();
+      const users = [];
+
+      usersSnapshot.forEach((doc) => {
+        users.push({
+          id: doc.id,
+          email: doc.data().email || "no email",
+        });
+      });
+
+      logger.debug("Found users at root level", { count: users.length });
+      res.json({
+        success: true,
+        method: "root collection",
+        count: users.length,
+        users: users,
+      });
+    } catch (error) {
+      logger.error("Debug route failed", { path: req.path, error });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  app.get("/users-from-notifications", debugAccess, async (req, res) => {
+    logger.debug("Fetching users from pushNotifications subcollections");
+
+    try {
+      const notificationsSnapshot = await db
+        .collectionGroup("pushNotifications")
+        .get();
+
+      const userIds = new Set();
+      const notifications = [];
+
+      notificationsSnapshot.forEach((doc) => {
+        const pathParts = doc.ref.path.split("/");
+        const userId = pathParts[1];
+        userIds.add(userId);
+        notifications.push({
+          id: doc.id,
+          userId: userId,
+          data: doc.data(),
+        });
+      });
+
+      logger.debug("Found users from notifications", {
+        userCount: userIds.size,
+        notificationCount: notifications.length,
+      });
+
+      res.json({
+        success: true,
+        method: "collectionGroup query on pushNotifications",
+        uniqueUserCount: userIds.size,
+        userIds: Array.from(userIds),
+        totalNotifications: notifications.length,
+        sampleNotifications: notifications.slice(0, 5),
+      });
+    } catch (error) {
+      logger.error("Debug route failed", { path: req.path, error });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  app.get("/users-from-tokens", debugAccess, async (req, res) => {
+    logger.debug("Fetching users from fcmTokens subcollections");
+
+    try {
+      const tokensSnapshot = await db.collectionGroup("fcmTokens").get();
+
+      const userIds = new Set();
+      const tokens = [];
+
+      tokensSnapshot.forEach((doc) => {
+        const pathParts = doc.ref.path.split("/");
+        const userId = pathParts[1];
+        userIds.add(userId);
+        tokens.push({
+          id: redactToken(doc.id),
+          userId: userId,
+          data: doc.data(),
+        });
+      });
+
+      logger.debug("Found users from fcmTokens", {
+        userCount: userIds.size,
+        tokenCount: tokens.length,
+      });
+
+      res.json({
+        success: true,
+        method: "collectionGroup query on fcmTokens",
+        uniqueUserCount: userIds.size,
+        userIds: Array.from(userIds),
+        totalTokens: tokens.length,
+        sampleTokens: tokens.slice(0, 5),
+      });
+    } catch (error) {
+      logger.error("Debug route failed", { path: req.path, error });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  app.get("/debug-full", debugAccess, async (req, res) => {
+    logger.debug("Running full debug");
+
+    const result = {
+      collections: [],
+      rootUsers: 0,
+      usersFromNotifications: [],
+      usersFromTokens: [],
+      notificationsCount: 0,
+      tokensCount: 0,
+    };
+
+    try {
+      const collections = await db.listCollections();
+      result.collections = collections.map((c) => c.id);
+
+      const usersSnapshot = await db.collection("users").get();
+      result.rootUsers = usersSnapshot.size;
+
+      const notificationsSnapshot = await db
+        .collectionGroup("pushNotifications")
+        .get();
+      result.notificationsCount = notificationsSnapshot.size;
+      const notifUsers = new Set();
+      notificationsSnapshot.forEach((doc) => {
+        const pathParts = doc.ref.path.split("/");
+        notifUsers.add(pathParts[1]);
+      });
+      result.usersFromNotifications = Array.from(notifUsers);
+
+      const tokensSnapshot = await db.collectionGroup("fcmTokens").get();
+      result.tokensCount = tokensSnapshot.size;
+      const tokenUsers = new Set();
+      tokensSnapshot.forEach((doc) => {
+        const pathParts = doc.ref.path.split("/");
+        tokenUsers.add(pathParts[1]);
+      });
+      result.usersFromTokens = Array.from(tokenUsers);
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      res.json({ success: false, error: error.message });
+    }
+  });
+
+  app.get("/test", debugAccess, async (req, res) => {
+    try {
+      const collections = await db.listCollections();
+      res.json({
+        success: true,
+        collections: collections.map((c) => c.id),
+      });
+    } catch (error) {
+      res.json({ success: false, error: error.message });
+    }
+  });
+
+  app.get("/debug-auth", debugAccess, async (req, res) => {
+    try {
+      const projectId = config.firebase.projectId;
+      const clientEmail = admin.app().options.credential?.clientEmail;
+
+      res.json({
+        success: true,
+        projectId: projectId,
+        clientEmail: clientEmail || "Not available via this method",
+        note: "This confirms Firebase Admin is initialized",
+      });
+    } catch (error) {
+      res.json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Liveness: the process is up and serving requests
+  app.get("/healthz", (req, res) => {
+    res.json({ status: "ok" });
+  });
+
+  // Readiness: Firestore and FCM reachable, and not shutting down
+  app.get("/readyz", async (req, res) => {
+    if (drainTracker.isDraining()) {
+      return res.status(503).json({ status: "draining" });
+    }
+    const { ready, checks } = await readiness.check();
+    res
+      .status(ready ? 200 : 503)
+      .json({ status: ready ? "ready" : "not ready", checks });
+  });
+
+  // Status summary (with the scheduler's last run when it is enabled). Kept
+  // for existing monitors; probes should use /healthz and /readyz.
+  app.get("/", (req, res) => {
+    res.json({
+      status: "ok",
+      message: "Notification service running",
+      scheduler: scheduler ? scheduler.getStatus() : { enabled: false },
+    });
+  });
+
+  // Prometheus scrape endpoint (aggregate counters only, no user data)
+  app.get("/metrics", (req, res) => {
+    res.set("Content-Type", CONTENT_TYPE).send(renderMetrics());
+  });
+
+  return app;
+}
+
+module.exports = {
+  createApp,
+};
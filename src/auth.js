@@ -0,0 +1,108 @@
+// ============================================
+// AUTH - Firebase ID token, admin and cron middleware
+// ============================================
+
+const crypto = require("crypto");
+const { logger } = require("./logger");
+
+/**
+ * Constant-time string comparison (hashing first so lengths always match)
+ */
+function safeEqual(a, b) {
+  if (typeof a !== "string" || typeof b !== "string") {
+    return false;
+  }
+  const hash = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+/**
+ * Verifies the Firebase ID token in the `Authorization: Bearer` header and
+ * exposes the decoded token as req.user
+ */
+function verifyFirebaseToken(auth) {
+  return async (req, res, next) => {
+    const match = /^Bearer (.+)$/.exec(req.get("Authorization") || "");
+    if (!match) {
+      return res
+        .status(401)
+        .json({ success: false, error: "Missing bearer token" });
+    }
+
+    try {
+      req.user = await auth.verifyIdToken(match[1]);
+      next();
+    } catch (error) {
+      logger.info("Rejected ID token", {
+        reason: error.code || error.message,
+      });
+      res.status(401).json({ success: false, error: "Invalid ID token" });
+    }
+  };
+}
+
+/**
+ * Only the user named by :uid (or a token with the `admin` claim) may pass
+ */
+function requireSameUser(req, res, next) {
+  if (req.user.uid === req.params.uid || req.user.admin === true) {
+    return next();
+  }
+  res.status(403).json({ success: false, error: "Forbidden" });
+}
+
+/**
+ * Admin access: either the ADMIN_API_KEY in `X-Admin-Key`, or a Firebase ID
+ * token carrying the `admin: true` custom claim
+ */
+function requireAdmin({ auth, apiKey }) {
+  return async (req, res, next) => {
+    const providedKey = req.get("X-Admin-Key");
+    if (providedKey) {
+      if (apiKey && safeEqual(providedKey, apiKey)) {
+        return next();
+      }
+      return res.status(401).json({ success: false, error: "Unauthorized" });
+    }
+
+    const match = /^Bearer (.+)$/.exec(req.get("Authorization") || "");
+    if (!match) {
+      return res.status(401).json({ success: false, error: "Unauthorized" });
+    }
+
+    try {
+      const decoded = await auth.verifyIdToken(match[1]);
+      if (decoded.admin !== true) {
+        return res.status(403).json({ success: false, error: "Forbidden" });
+      }
+      req.user = decoded;
+      next();
+    } catch (error) {
+      logger.info("Rejected admin ID token", {
+        reason: error.code || error.message,
+      });
+      res.status(401).json({ success: false, error: "Unauthorized" });
+    }
+  };
+}
+
+/**
+ * Checks the `X-Cron-Secret` header (or another `header`) against the
+ * configured secret. Without a configured secret the trigger stays open.
+ */
+function requireCronSecret(secret, header = "X-Cron-Secret") {
+  return (req, res, next) => {
+    if (secret && !safeEqual(req.get(header), secret)) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  safeEqual,
+  verifyFirebaseToken,
+  requireSameUser,
+  requireAdmin,
+  requireCronSecret,
+};
@@ -0,0 +1,50 @@
+// ============================================
+// CHANNEL - SMTP email
+// ============================================
+
+const nodemailer = require("nodemailer");
+
+/**
+ * Email delivery channel. The address comes from the user's notification
+ * settings (`email`) or, failing that, the user profile doc.
+ */
+function createEmailChannel({ host, port, secure, user, pass, from }) {
+  if (!host || !from) {
+    return null;
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port: port || 587,
+    secure: Boolean(secure),
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: "email",
+
+    async send({ message, settings, getUserProfile }) {
+      const address = settings?.email || (await getUserProfile()).email;
+      if (!address) {
+        return { delivered: false, error: "No email address for this user" };
+      }
+
+      const info = await transporter.sendMail({
+        from,
+        to: address,
+        subject: message.notification.title,
+        text: message.notification.body,
+      });
+      return {
+        delivered: info.accepted.length > 0,
+        sentCount: info.accepted.length > 0 ? 1 : 0,
+        ...(info.accepted.length === 0 && { error: "Rejected by SMTP server" }),
+        details: { messageId: info.messageId },
+      };
+    },
+  };
+}
+
+module.exports = {
+  createEmailChannel,
+};
@@ -0,0 +1,27 @@
+// ============================================
+// DELIVERY CHANNELS
+// ============================================
+//
+// A channel is `{ name, send(context) }`. send() resolves to
+//   { delivered, sentCount?, error?, details?, fields? }
+// where `fields`, if present, replaces the doc fields the sweep would
+// otherwise derive from `delivered` (FCM uses this for retries).
+//
+// Channels are tried in order until one delivers. The order comes from the
+// notification's `channels`, then the user's settings, then FCM alone.
+
+const CHANNEL_NAMES = ["fcm", "email", "webhook"];
+const DEFAULT_CHANNEL_ORDER = ["fcm"];
+
+function resolveChannelOrder(notificationData, settings) {
+  const order = notificationData.channels || settings?.channels;
+  const known = Array.isArray(order)
+    ? [...new Set(order)].filter((name) => CHANNEL_NAMES.includes(name))
+    : [];
+  return known.length > 0 ? known : DEFAULT_CHANNEL_ORDER;
+}
+
+module.exports = {
+  CHANNEL_NAMES,
+  resolveChannelOrder,
+};
@@ -0,0 +1,108 @@
+// ============================================
+// CHANNEL - signed HTTP webhook
+// ============================================
+
+const crypto = require("crypto");
+
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+/**
+ * HMAC-SHA256 over `${timestamp}.${body}`, so receivers can reject both
+ * forged and replayed requests
+ */
+function signWebhookPayload(secret, timestamp, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+/**
+ * True if `url` is https and its host is one of allowedHosts or a
+ * subdomain of one. webhookUrl is user-writable, so anything else could
+ * aim signed requests at internal services.
+ */
+function isAllowedWebhookUrl(url, allowedHosts) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+  const host = parsed.hostname.toLowerCase();
+  return (
+    parsed.protocol === "https:" &&
+    allowedHosts.some(
+      (allowed) => host === allowed || host.endsWith(`.${allowed}`),
+    )
+  );
+}
+
+/**
+ * Webhook delivery channel. POSTs the notification as JSON to the
+ * `webhookUrl` in the user's notification settings (https, on an allowed
+ * host only).
+ */
+function createWebhookChannel({ signingSecret, allowedHosts = [] }) {
+  if (!signingSecret) {
+    return null;
+  }
+
+  return {
+    name: "webhook",
+
+    async send({ userId, notification, message, settings }) {
+      const url = settings?.webhookUrl;
+      if (!url) {
+        return { delivered: false, error: "No webhookUrl for this user" };
+      }
+      if (!isAllowedWebhookUrl(url, allowedHosts)) {
+        return {
+          delivered: false,
+          error: "webhookUrl is not https on an allowed host",
+        };
+      }
+
+      const timestamp = Date.now();
+      const body = JSON.stringify({
+        notificationId: notification.id,
+        userId,
+        title: message.notification.title,
+        body: message.notification.body,
+        data: message.data,
+        timestamp,
+      });
+
+      const response = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Andromeda-Timestamp": String(timestamp),
+          "X-Andromeda-Signature": `sha256=${signWebhookPayload(signingSecret, timestamp, body)}`,
+        },
+        body,
+        // A redirect could lead off the allowed hosts
+        redirect: "error",
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      });
+
+      if (!response.ok) {
+        return {
+          delivered: false,
+          error: `Webhook responded ${response.status}`,
+        };
+      }
+      return {
+        delivered: true,
+        sentCount: 1,
+        details: { status: response.status },
+      };
+    },
+  };
+}
+
+module.exports = {
+  createWebhookChannel,
+  isAllowedWebhookUrl,
+  signWebhookPayload,
+};
@@ -0,0 +1,83 @@
+// ============================================
+// CONCURRENCY - worker pools and rate limiting
+// ============================================
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Maps items through fn with at most `limit` calls in flight, keeping the
+ * results in input order. After a failure no new items are started; the
+ * first error is thrown once the in-flight calls have settled.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let failure = null;
+
+  async function worker() {
+    while (!failure && nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failure = failure || { error };
+      }
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  if (failure) {
+    throw failure.error;
+  }
+  return results;
+}
+
+/**
+ * Token bucket shared by all callers: acquire(cost) resolves once `cost`
+ * units are available, in the order callers asked. A rate of 0 disables
+ * limiting.
+ */
+function createRateLimiter({ ratePerSecond, burst = ratePerSecond }) {
+  if (!(ratePerSecond > 0)) {
+    return { acquire: async () => {} };
+  }
+
+  let available = burst;
+  let refilledAt = Date.now();
+  let queue = Promise.resolve();
+
+  const refill = () => {
+    const now = Date.now();
+    available = Math.min(
+      burst,
+      available + ((now - refilledAt) * ratePerSecond) / 1000,
+    );
+    refilledAt = now;
+  };
+
+  return {
+    acquire(cost = 1) {
+      // Requests larger than the bucket wait for a full bucket and are then
+      // charged in full: the bucket goes into debt, which later callers
+      // wait out
+      const needed = Math.min(cost, burst);
+      const turn = queue.then(async () => {
+        refill();
+        if (available < needed) {
+          await sleep(((needed - available) * 1000) / ratePerSecond);
+          refill();
+        }
+        available -= cost;
+      });
+      queue = turn;
+      return turn;
+    },
+  };
+}
+
+module.exports = {
+  mapWithConcurrency,
+  createRateLimiter,
+};
@@ -0,0 +1,207 @@
+// ============================================
+// CONFIG - typed settings from the environment
+// ============================================
+//
+// Every environment variable the service reads is parsed and checked here.
+// A bad value is reported in `errors` and replaced by its default, so
+// start() can list every problem at once before refusing to start; the
+// rest of the code only reads the typed config.
+
+const LOG_LEVELS = ["debug", "info", "warn", "error", "silent"];
+const RETENTION_MODES = ["delete", "archive"];
+
+/**
+ * Readers for one environment. Blank values count as unset.
+ */
+function createReader(env, errors) {
+  const read = (name) => {
+    const value = env[name];
+    return value === undefined || value.trim() === ""
+      ? undefined
+      : value.trim();
+  };
+
+  return {
+    string(name, fallback = null) {
+      return read(name) ?? fallback;
+    },
+
+    // Comma-separated values, lowercased, blanks dropped
+    list(name) {
+      return (read(name) || "")
+        .split(",")
+        .map((value) => value.trim().toLowerCase())
+        .filter(Boolean);
+    },
+
+    requiredString(name) {
+      const value = read(name);
+      if (value === undefined) {
+        errors.push(`${name} is required`);
+      }
+      return value ?? null;
+    },
+
+    integer(name, fallback, { min = 0, max = Number.MAX_SAFE_INTEGER } = {}) {
+      const raw = read(name);
+      if (raw === undefined) {
+        return fallback;
+      }
+      const value = Number(raw);
+      if (!Number.isInteger(value) || value < min || value > max) {
+        errors.push(
+          `${name} must be an integer from ${min} to ${max} (got "${raw}")`,
+        );
+        return fallback;
+      }
+      return value;
+    },
+
+    boolean(name, fallback = false) {
+      const raw = read(name);
+      if (raw === undefined) {
+        return fallback;
+      }
+      if (raw === "true" || raw === "false") {
+        return raw === "true";
+      }
+      errors.push(`${name} must be "true" or "false" (got "${raw}")`);
+      return fallback;
+    },
+
+    oneOf(name, values, fallback) {
+      const raw = read(name);
+      if (raw === undefined) {
+        return fallback;
+      }
+      if (values.includes(raw.toLowerCase())) {
+        return raw.toLowerCase();
+      }
+      errors.push(`${name} must be one of ${values.join(", ")} (got "${raw}")`);
+      return fallback;
+    },
+  };
+}
+
+/**
+ * Parses an environment into { config, errors }. Never throws: callers
+ * decide whether errors are fatal.
+ */
+function parseConfig(env) {
+  const errors = [];
+  const read = createReader(env, errors);
+
+  const config = {
+    port: read.integer("PORT", 3000, { min: 1, max: 65535 }),
+    logLevel: read.oneOf("LOG_LEVEL", LOG_LEVELS, "info"),
+    debugRoutes: read.boolean("ENABLE_DEBUG_ROUTES"),
+    // Time allowed on SIGTERM for in-flight sweeps before exiting anyway
+    shutdownTimeoutMs: read.integer("SHUTDOWN_TIMEOUT_MS", 30000, {
+      min: 1000,
+    }),
+
+    firebase: {
+      projectId: read.requiredString("FIREBASE_PROJECT_ID"),
+      clientEmail: read.requiredString("FIREBASE_CLIENT_EMAIL"),
+      privateKey:
+        read.requiredString("FIREBASE_PRIVATE_KEY")?.replace(/\\n/g, "\n") ||
+        null,
+    },
+
+    // Each feature behind a secret is off (or, for the cron trigger, open)
+    // while its secret is unset
+    secrets: {
+      cron: read.string("CRON_SECRET"),
+      cleanup: read.string("CLEANUP_SECRET"),
+      actionToken: read.string("ACTION_TOKEN_SECRET"),
+      adminApiKey: read.string("ADMIN_API_KEY"),
+    },
+
+    scheduler: {
+      enabled: read.boolean("SCHEDULER_ENABLED"),
+      intervalMs: read.integer("SCHEDULER_INTERVAL_MS", 60000, {
+        min: 1000,
+      }),
+    },
+
+    sweep: {
+      instanceId: read.string("INSTANCE_ID"),
+      gracePeriodMs: read.integer("NOTIFICATION_GRACE_PERIOD_MS", 15 * 60000, {
+        min: 60000,
+      }),
+      leaseMs: read.integer("NOTIFICATION_LEASE_MS", 5 * 60000, {
+        min: 1000,
+      }),
+      maxAttempts: read.integer("NOTIFICATION_MAX_ATTEMPTS", 5, { min: 1 }),
+      retryBaseMs: read.integer("NOTIFICATION_RETRY_BASE_MS", 30000, {
+        min: 1000,
+      }),
+      retryMaxMs: read.integer("NOTIFICATION_RETRY_MAX_MS", 60 * 60000, {
+        min: 1000,
+      }),
+      tokenStaleDays: read.integer("FCM_TOKEN_STALE_DAYS", 60, { min: 1 }),
+      concurrency: read.integer("NOTIFICATION_CONCURRENCY", 10, {
+        min: 1,
+        max: 100,
+      }),
+      // 0 turns rate limiting off
+      fcmSendsPerSecond: read.integer("FCM_SENDS_PER_SECOND", 500),
+    },
+
+    retention: {
+      days: read.integer("NOTIFICATION_RETENTION_DAYS", 90, { min: 1 }),
+      mode: read.oneOf(
+        "NOTIFICATION_RETENTION_MODE",
+        RETENTION_MODES,
+        "delete",
+      ),
+      rollup: read.boolean("NOTIFICATION_RETENTION_ROLLUP"),
+      maxPerRun: read.integer("NOTIFICATION_RETENTION_MAX_PER_RUN", 5000, {
+        min: 1,
+      }),
+    },
+
+    email: {
+      host: read.string("SMTP_HOST"),
+      port: read.integer("SMTP_PORT", null, { min: 1, max: 65535 }),
+      secure: read.boolean("SMTP_SECURE"),
+      user: read.string("SMTP_USER"),
+      pass: read.string("SMTP_PASS"),
+      from: read.string("EMAIL_FROM"),
+    },
+
+    webhook: {
+      signingSecret: read.string("WEBHOOK_SIGNING_SECRET"),
+      // Domains (and their subdomains) user webhookUrls may point at
+      allowedHosts: read.list("WEBHOOK_ALLOWED_HOSTS"),
+    },
+  };
+
+  if (config.sweep.retryMaxMs < config.sweep.retryBaseMs) {
+    errors.push(
+      "NOTIFICATION_RETRY_MAX_MS must not be less than NOTIFICATION_RETRY_BASE_MS",
+    );
+  }
+  if (config.email.host && !config.email.from) {
+    errors.push("EMAIL_FROM is required when SMTP_HOST is set");
+  }
+  if (
+    config.webhook.signingSecret &&
+    config.webhook.allowedHosts.length === 0
+  ) {
+    errors.push(
+      "WEBHOOK_ALLOWED_HOSTS is required when WEBHOOK_SIGNING_SECRET is set",
+    );
+  }
+
+  return { config, errors };
+}
+
+// The process environment, parsed once when the service loads
+const { config, errors: configErrors } = parseConfig(process.env);
+
+module.exports = {
+  config,
+  configErrors,
+  parseConfig,
+};
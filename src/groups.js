@@ -0,0 +1,167 @@
+// ============================================
+// GROUPS - shared calendars, broadcasts and FCM topics
+// ============================================
+//
+// groups/{groupId}               { name, memberIds: [uid], delivery? }
+// groups/{groupId}/broadcasts/*  notification docs sent to every member
+//
+// Members opt out of a group with `mutedGroups` in their notification
+// settings. Broadcasts are fanned out by chunked multicast to every
+// unmuted member's tokens, or, for groups with delivery "topic", sent once
+// to the group's FCM topic. Topic subscriptions are kept in step on device
+// registration and on mute/unmute; a member removed from memberIds stays
+// subscribed until their next registration, so groups whose membership
+// shrinks should stay on multicast.
+
+const admin = require("firebase-admin");
+const { logger } = require("./logger");
+
+const GROUP_DELIVERY_MODES = ["multicast", "topic"];
+
+// subscribeToTopic accepts at most this many tokens per call
+const TOPIC_BATCH_SIZE = 1000;
+
+/**
+ * FCM topic for a group. Topic names only allow [a-zA-Z0-9-_.~%]:
+ * encodeURIComponent escapes everything else except !'()*, which are
+ * percent-encoded here too.
+ */
+function topicForGroup(groupId) {
+  const encoded = encodeURIComponent(groupId).replace(
+    /[!'()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`,
+  );
+  return `group-${encoded}`;
+}
+
+function isGroupMuted(settings, groupId) {
+  return (settings?.mutedGroups || []).includes(groupId);
+}
+
+function getSettingsRef(db, userId) {
+  return db
+    .collection("users")
+    .doc(userId)
+    .collection("settings")
+    .doc("notifications");
+}
+
+/**
+ * Topic groups the user belongs to, split by whether they muted them
+ */
+async function getUserTopicGroups(db, userId) {
+  const [groupsSnapshot, settingsSnapshot] = await Promise.all([
+    db.collection("groups").where("memberIds", "array-contains", userId).get(),
+    getSettingsRef(db, userId).get(),
+  ]);
+  const settings = settingsSnapshot.data();
+
+  const subscribed = [];
+  const muted = [];
+  groupsSnapshot.docs
+    .filter((doc) => doc.data().delivery === "topic")
+    .forEach((doc) =>
+      (isGroupMuted(settings, doc.id) ? muted : subscribed).push(doc.id),
+    );
+  return { subscribed, muted };
+}
+
+/**
+ * (Un)subscribes tokens to a topic in batches. Per-token failures are
+ * logged, not thrown: a dead token is cleaned up by the next send to it.
+ */
+async function updateTopicSubscription(messaging, tokens, topic, subscribe) {
+  for (let start = 0; start < tokens.length; start += TOPIC_BATCH_SIZE) {
+    const batch = tokens.slice(start, start + TOPIC_BATCH_SIZE);
+    const response = subscribe
+      ? await messaging.subscribeToTopic(batch, topic)
+      : await messaging.unsubscribeFromTopic(batch, topic);
+    response.errors.forEach(({ index, error }) =>
+      logger.warn("Topic subscription update failed", {
+        topic,
+        subscribe,
+        token: batch[index],
+        errorCode: error.code,
+      }),
+    );
+  }
+}
+
+/**
+ * Brings one token's topic subscriptions in line with the user's groups:
+ * subscribed to unmuted topic groups, unsubscribed from muted ones
+ */
+async function syncTokenTopics({ db, messaging, userId, token }) {
+  const { subscribed, muted } = await getUserTopicGroups(db, userId);
+  for (const groupId of subscribed) {
+    await updateTopicSubscription(
+      messaging,
+      [token],
+      topicForGroup(groupId),
+      true,
+    );
+  }
+  for (const groupId of muted) {
+    await updateTopicSubscription(
+      messaging,
+      [token],
+      topicForGroup(groupId),
+      false,
+    );
+  }
+  return { subscribed, muted };
+}
+
+/**
+ * Removes tokens from every topic group of the user (used when a device is
+ * unregistered)
+ */
+async function unsubscribeTokensFromGroups({ db, messaging, userId, tokens }) {
+  const { subscribed, muted } = await getUserTopicGroups(db, userId);
+  for (const groupId of [...subscribed, ...muted]) {
+    await updateTopicSubscription(
+      messaging,
+      tokens,
+      topicForGroup(groupId),
+      false,
+    );
+  }
+}
+
+/**
+ * Mutes or unmutes a group for a member. For topic groups the member's
+ * tokens are (un)subscribed too, so muting takes effect for topic sends.
+ */
+async function setGroupMuted({ db, messaging, userId, groupId, muted, group }) {
+  await getSettingsRef(db, userId).set(
+    {
+      mutedGroups: muted
+        ? admin.firestore.FieldValue.arrayUnion(groupId)
+        : admin.firestore.FieldValue.arrayRemove(groupId),
+    },
+    { merge: true },
+  );
+
+  if (group.delivery === "topic") {
+    const tokensSnapshot = await db
+      .collection("users")
+      .doc(userId)
+      .collection("fcmTokens")
+      .get();
+    await updateTopicSubscription(
+      messaging,
+      tokensSnapshot.docs.map((doc) => doc.id),
+      topicForGroup(groupId),
+      !muted,
+    );
+  }
+}
+
+module.exports = {
+  GROUP_DELIVERY_MODES,
+  topicForGroup,
+  isGroupMuted,
+  syncTokenTopics,
+  unsubscribeTokensFromGroups,
+  setGroupMuted,
+};
@@ -0,0 +1,128 @@
+// ============================================
+// HEALTH - readiness probe and shutdown draining
+// ============================================
+//
+// /healthz only says the process is up. /readyz says whether this instance
+// should get traffic: it probes Firestore (one document read) and FCM (a
+// dry-run send, which FCM validates without delivering), and fails as soon
+// as shutdown starts so load balancers stop routing triggers here.
+
+const { logger } = require("./logger");
+
+const PROBE_TIMEOUT_MS = 3000;
+// Probe results are reused for this long, so frequent probes don't each
+// cost a Firestore read
+const PROBE_CACHE_MS = 5000;
+// FCM topic the dry-run probe is addressed to (nothing is delivered)
+const PROBE_TOPIC = "readiness-probe";
+
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`Timed out after ${timeoutMs}ms`)),
+      timeoutMs,
+    );
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function runCheck(name, probe, timeoutMs) {
+  const startedAt = Date.now();
+  try {
+    await withTimeout(probe(), timeoutMs);
+    return { ok: true, latencyMs: Date.now() - startedAt };
+  } catch (error) {
+    logger.warn("Readiness check failed", { check: name, error });
+    return {
+      ok: false,
+      latencyMs: Date.now() - startedAt,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Returns check(), which resolves to { ready, checks } for the service's
+ * dependencies
+ */
+function createReadinessCheck({
+  db,
+  messaging,
+  timeoutMs = PROBE_TIMEOUT_MS,
+  cacheMs = PROBE_CACHE_MS,
+}) {
+  let cached = null;
+
+  async function probe() {
+    const [firestore, fcm] = await Promise.all([
+      runCheck(
+        "firestore",
+        () => db.collection("serviceState").doc("readiness").get(),
+        timeoutMs,
+      ),
+      runCheck(
+        "fcm",
+        () =>
+          messaging.send(
+            { topic: PROBE_TOPIC, data: { probe: "readiness" } },
+            true,
+          ),
+        timeoutMs,
+      ),
+    ]);
+    return { ready: firestore.ok && fcm.ok, checks: { firestore, fcm } };
+  }
+
+  return {
+    check() {
+      if (!cached || Date.now() - cached.at > cacheMs) {
+        cached = { at: Date.now(), result: probe() };
+      }
+      return cached.result;
+    },
+  };
+}
+
+/**
+ * Tracks in-flight sweeps and cleanups so shutdown can wait for them.
+ * Once draining, the trigger endpoints turn new work away.
+ */
+function createDrainTracker() {
+  const inFlight = new Set();
+  let draining = false;
+
+  return {
+    isDraining: () => draining,
+
+    /**
+     * Registers work shutdown should wait for; returns the same promise
+     */
+    track(promise) {
+      inFlight.add(promise);
+      const forget = () => inFlight.delete(promise);
+      promise.then(forget, forget);
+      return promise;
+    },
+
+    /**
+     * Stops new work and waits for tracked work, at most timeoutMs.
+     * Resolves to the number of tasks still running (0 when drained).
+     */
+    async drain(timeoutMs) {
+      draining = true;
+      if (inFlight.size > 0) {
+        logger.info("Waiting for in-flight work", { count: inFlight.size });
+        await withTimeout(Promise.allSettled([...inFlight]), timeoutMs).catch(
+          () => {},
+        );
+      }
+      return inFlight.size;
+    },
+  };
+}
+
+module.exports = {
+  createReadinessCheck,
+  createDrainTracker,
+};
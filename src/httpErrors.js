@@ -0,0 +1,37 @@
+// ============================================
+// HTTP ERRORS - shared by the API routers
+// ============================================
+
+const { logger } = require("./logger");
+
+/**
+ * Error carrying the HTTP status (and optional details) to respond with
+ */
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Sends an error in the service's `{ success: false, error }` shape.
+ * Anything that isn't an HttpError is logged and reported as a 500.
+ */
+function sendError(res, error) {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      ...(error.details && { details: error.details }),
+    });
+  }
+  logger.error("Unhandled API error", { error });
+  res.status(500).json({ success: false, error: error.message });
+}
+
+module.exports = {
+  HttpError,
+  sendError,
+};
@@ -0,0 +1,105 @@
+// ============================================
+// LOGGER - structured JSON lines
+// ============================================
+//
+// One JSON object per line: {time, level, msg, ...fields}. Fields come from
+// the call site and the async context set with withLogContext(), so a
+// sweep's sweepId/userId/notificationId reach every line logged while
+// handling it. LOG_LEVEL picks the minimum level (default "info";
+// "silent" turns logging off, e.g. under npm test).
+
+const { AsyncLocalStorage } = require("async_hooks");
+const { redactToken } = require("./redact");
+const { config } = require("./config");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+const DEFAULT_LEVEL = "info";
+
+// Field names whose values are FCM registration tokens
+const TOKEN_FIELDS = new Set(["token", "tokens", "fcmToken"]);
+
+const logContext = new AsyncLocalStorage();
+
+function resolveLevel(level) {
+  const normalized = String(level || "").toLowerCase();
+  return LEVELS[normalized] ? normalized : DEFAULT_LEVEL;
+}
+
+function serializeError(error) {
+  return {
+    message: error.message,
+    ...(error.code && { code: error.code }),
+    ...(error.stack && { stack: error.stack }),
+  };
+}
+
+function serializeField(name, value) {
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (TOKEN_FIELDS.has(name)) {
+    return Array.isArray(value) ? value.map(redactToken) : redactToken(value);
+  }
+  return value;
+}
+
+/**
+ * Runs fn with extra fields attached to every line it (and anything it
+ * awaits) logs. Nested contexts add to the outer one.
+ */
+function withLogContext(fields, fn) {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+function createLogger({
+  level = config.logLevel,
+  write = (line) => process.stdout.write(`${line}\n`),
+} = {}) {
+  const minLevel = LEVELS[resolveLevel(level)];
+
+  function log(levelName, msg, fields = {}) {
+    if (LEVELS[levelName] < minLevel) {
+      return;
+    }
+
+    const entry = {
+      time: new Date().toISOString(),
+      level: levelName,
+      msg,
+    };
+    const merged = { ...logContext.getStore(), ...fields };
+    for (const [name, value] of Object.entries(merged)) {
+      if (value !== undefined) {
+        entry[name] = serializeField(name, value);
+      }
+    }
+
+    try {
+      write(JSON.stringify(entry));
+    } catch (error) {
+      write(
+        JSON.stringify({
+          time: entry.time,
+          level: levelName,
+          msg,
+          logError: error.message,
+        }),
+      );
+    }
+  }
+
+  return {
+    debug: (msg, fields) => log("debug", msg, fields),
+    info: (msg, fields) => log("info", msg, fields),
+    warn: (msg, fields) => log("warn", msg, fields),
+    error: (msg, fields) => log("error", msg, fields),
+  };
+}
+
+const logger = createLogger();
+
+module.exports = {
+  logger,
+  createLogger,
+  withLogContext,
+};
@@ -0,0 +1,206 @@
+// ============================================
+// METRICS - Prometheus counters/histograms for the pipeline
+// ============================================
+//
+// A small in-process registry rendered in the Prometheus text format
+// (version 0.0.4). Labels are passed as plain objects on each update.
+
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+const registry = [];
+
+function escapeLabelValue(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return "";
+  }
+  return `{${entries
+    .map(([name, value]) => `${name}="${escapeLabelValue(value)}"`)
+    .join(",")}}`;
+}
+
+/**
+ * Series are keyed by their label set in labelNames order, so the same
+ * labels always land on the same series
+ */
+function createMetric({ name, help, type, labelNames = [] }) {
+  const series = new Map();
+  const metric = {
+    name,
+    help,
+    type,
+    series,
+    getSeries(labels, init) {
+      const normalized = {};
+      for (const labelName of labelNames) {
+        normalized[labelName] =
+          labels[labelName] === undefined || labels[labelName] === null
+            ? "none"
+            : labels[labelName];
+      }
+      const key = JSON.stringify(normalized);
+      if (!series.has(key)) {
+        series.set(key, { labels: normalized, ...init() });
+      }
+      return series.get(key);
+    },
+  };
+  registry.push(metric);
+  return metric;
+}
+
+function createCounter(options) {
+  const metric = createMetric({ ...options, type: "counter" });
+  return {
+    inc(labels = {}, value = 1) {
+      metric.getSeries(labels, () => ({ value: 0 })).value += value;
+    },
+  };
+}
+
+function createGauge(options) {
+  const metric = createMetric({ ...options, type: "gauge" });
+  return {
+    set(labels, value) {
+      metric.getSeries(labels, () => ({ value: 0 })).value = value;
+    },
+  };
+}
+
+function createHistogram({ buckets, ...options }) {
+  const metric = createMetric({ ...options, type: "histogram" });
+  metric.buckets = buckets;
+  return {
+    observe(labels, value) {
+      const series = metric.getSeries(labels, () => ({
+        bucketCounts: buckets.map(() => 0),
+        sum: 0,
+        count: 0,
+      }));
+      buckets.forEach((bound, index) => {
+        if (value <= bound) {
+          series.bucketCounts[index] += 1;
+        }
+      });
+      series.sum += value;
+      series.count += 1;
+    },
+  };
+}
+
+/**
+ * All registered metrics in the Prometheus text exposition format
+ */
+function renderMetrics() {
+  const lines = [];
+  for (const metric of registry) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+    for (const series of metric.series.values()) {
+      if (metric.type !== "histogram") {
+        lines.push(
+          `${metric.name}${formatLabels(series.labels)} ${series.value}`,
+        );
+        continue;
+      }
+
+      metric.buckets.forEach((bound, index) => {
+        const labels = formatLabels({ ...series.labels, le: bound });
+        lines.push(
+          `${metric.name}_bucket${labels} ${series.bucketCounts[index]}`,
+        );
+      });
+      const labels = formatLabels(series.labels);
+      const infLabels = formatLabels({ ...series.labels, le: "+Inf" });
+      lines.push(`${metric.name}_bucket${infLabels} ${series.count}`);
+      lines.push(`${metric.name}_sum${labels} ${series.sum}`);
+      lines.push(`${metric.name}_count${labels} ${series.count}`);
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+// ============================================
+// Pipeline metrics
+// ============================================
+
+const metrics = {
+  sweepDuration: createHistogram({
+    name: "notification_sweep_duration_seconds",
+    help: "Duration of checkAndSendNotifications sweeps",
+    labelNames: ["result"],
+    buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120],
+  }),
+  lastSuccessfulSweep: createGauge({
+    name: "notification_last_successful_sweep_timestamp_seconds",
+    help: "Unix time of the last sweep that completed without error",
+  }),
+  notificationsFound: createCounter({
+    name: "notification_due_found_total",
+    help: "Notifications picked up by sweeps, by query",
+    labelNames: ["source"],
+  }),
+  notificationsExpired: createCounter({
+    name: "notification_expired_total",
+    help: "Notifications missed by every sweep within the grace period",
+  }),
+  notificationsDeferred: createCounter({
+    name: "notification_deferred_total",
+    help: "Notifications deferred by quiet hours or do-not-disturb",
+    labelNames: ["reason"],
+  }),
+  sends: createCounter({
+    name: "notification_sends_total",
+    help: "Channel send attempts, by channel and outcome",
+    labelNames: ["channel", "outcome"],
+  }),
+  fcmErrors: createCounter({
+    name: "notification_fcm_errors_total",
+    help: "FCM errors by error code, per token or for a whole request",
+    labelNames: ["code", "scope"],
+  }),
+  fcmTargetPaths: createCounter({
+    name: "notification_fcm_target_path_total",
+    help: "FCM sends by targeting path (see src/targeting.js)",
+    labelNames: ["path"],
+  }),
+  broadcasts: createCounter({
+    name: "notification_broadcasts_total",
+    help: "Group broadcasts, by delivery mode (multicast or topic) and outcome",
+    labelNames: ["delivery", "outcome"],
+  }),
+  notificationActions: createCounter({
+    name: "notification_actions_total",
+    help: "Snooze/dismiss taps on reminders, by action",
+    labelNames: ["action"],
+  }),
+  retentionRemoved: createCounter({
+    name: "notification_retention_removed_total",
+    help: "Notifications removed by the retention cleanup, by mode",
+    labelNames: ["mode"],
+  }),
+  tokensDeleted: createCounter({
+    name: "notification_fcm_tokens_deleted_total",
+    help: "FCM tokens deleted, by reason",
+    labelNames: ["reason"],
+  }),
+  sendLag: createHistogram({
+    name: "notification_send_lag_seconds",
+    help: "Delay between a notification's fireAt and its delivery",
+    buckets: [1, 5, 15, 30, 60, 120, 300, 600, 900, 1800, 3600],
+  }),
+};
+
+module.exports = {
+  CONTENT_TYPE,
+  metrics,
+  renderMetrics,
+};
@@ -0,0 +1,140 @@
+// ============================================
+// QUIET HOURS / DO-NOT-DISTURB
+// ============================================
+//
+// User settings live at users/{uid}/settings/notifications:
+//   {
+//     timezone: "Europe/Berlin",
+//     quietHours: { start: "22:00", end: "07:00" },
+//     doNotDisturb: false,
+//     doNotDisturbUntil: 1760000000000, // optional, ms
+//     quietMode: "defer" | "silent",     // default "defer"
+//   }
+
+const { getZonedParts, zonedTimeToUtc, DAY_MS } = require("./timezone");
+
+function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || "");
+  if (!match || +match[1] > 23 || +match[2] > 59) {
+    return null;
+  }
+  return +match[1] * 60 + +match[2];
+}
+
+/**
+ * End of the quiet-hours window containing `now`, or null if `now` is
+ * outside it. Windows may wrap midnight (22:00-07:00).
+ */
+function getQuietHoursEnd(quietHours, timeZone, now) {
+  const start = parseTimeOfDay(quietHours?.start);
+  const end = parseTimeOfDay(quietHours?.end);
+  if (start === null || end === null || start === end) {
+    return null;
+  }
+
+  const local = getZonedParts(now, timeZone);
+  const minutes = local.hour * 60 + local.minute;
+  const inWindow =
+    start < end
+      ? minutes >= start && minutes < end
+      : minutes >= start || minutes < end;
+  if (!inWindow) {
+    return null;
+  }
+
+  // The window ends later today, or tomorrow when it wraps past midnight
+  const today = Date.UTC(local.year, local.month - 1, local.day);
+  const endDay = new Date(minutes < end ? today : today + DAY_MS);
+  return zonedTimeToUtc(
+    {
+      year: endDay.getUTCFullYear(),
+      month: endDay.getUTCMonth() + 1,
+      day: endDay.getUTCDate(),
+      hour: Math.floor(end / 60),
+      minute: end % 60,
+      second: 0,
+    },
+    timeZone,
+  );
+}
+
+/**
+ * Decides how a notification due at `now` should be delivered.
+ *
+ * @returns {{action: "send" | "silent" | "defer", reason: string,
+ *   deferUntil?: number}}
+ */
+function getDeliveryDecision(settings, now) {
+  if (!settings) {
+    return { action: "send", reason: "no_settings" };
+  }
+
+  const timeZone = settings.timezone || "UTC";
+  const mode = settings.quietMode === "silent" ? "silent" : "defer";
+
+  const dndUntil = settings.doNotDisturbUntil;
+  if (settings.doNotDisturb && !(dndUntil && dndUntil <= now)) {
+    // Open-ended DND has nothing to defer to, so it always sends silently
+    if (mode === "defer" && dndUntil) {
+      return {
+        action: "defer",
+        reason: "do_not_disturb",
+        deferUntil: dndUntil,
+      };
+    }
+    return { action: "silent", reason: "do_not_disturb" };
+  }
+
+  let quietEnd;
+  try {
+    quietEnd = getQuietHoursEnd(settings.quietHours, timeZone, now);
+  } catch (error) {
+    return { action: "send", reason: "invalid_settings" };
+  }
+
+  if (quietEnd) {
+    return mode === "defer"
+      ? { action: "defer", reason: "quiet_hours", deferUntil: quietEnd }
+      : { action: "silent", reason: "quiet_hours" };
+  }
+  return { action: "send", reason: "outside_quiet_hours" };
+}
+
+/**
+ * Lowers sound and priority of an FCM message for silent delivery
+ */
+function applySilentDelivery(message) {
+  const { sound: androidSound, ...androidNotification } =
+    message.android?.notification || {};
+  const { sound: apnsSound, ...aps } = message.apns?.payload?.aps || {};
+  const { vibrate, ...webpushNotification } =
+    message.webpush?.notification || {};
+
+  return {
+    ...message,
+    android: {
+      ...message.android,
+      priority: "normal",
+      notification: { ...androidNotification, priority: "low" },
+    },
+    apns: {
+      ...message.apns,
+      headers: { ...message.apns?.headers, "apns-priority": "5" },
+      payload: { ...message.apns?.payload, aps },
+    },
+    webpush: {
+      ...message.webpush,
+      headers: { ...message.webpush?.headers, Urgency: "normal" },
+      notification: {
+        ...webpushNotification,
+        silent: true,
+        requireInteraction: false,
+      },
+    },
+  };
+}
+
+module.exports = {
+  getDeliveryDecision,
+  applySilentDelivery,
+};
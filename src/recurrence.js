@@ -0,0 +1,241 @@
+// ============================================
+// RECURRENCE - iCalendar RRULE subset
+// ============================================
+//
+// Supported: FREQ=DAILY|WEEKLY|MONTHLY|YEARLY, INTERVAL, COUNT, UNTIL,
+// BYDAY (WEEKLY, plain weekdays only) and BYMONTHDAY (MONTHLY, -1 = last day).
+// Occurrences keep the wall-clock time of the first one in the rule's
+// timezone, so a 09:00 reminder stays at 09:00 across DST changes.
+
+const { getZonedParts, zonedTimeToUtc, DAY_MS } = require("./timezone");
+
+const MAX_ITERATIONS = 5000;
+const FREQUENCIES = new Set(["DAILY", "WEEKLY", "MONTHLY", "YEARLY"]);
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+function dayNumberToDate(dayNumber) {
+  const date = new Date(dayNumber * DAY_MS);
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    weekday: date.getUTCDay(),
+  };
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function parseUntil(value, timeZone) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(
+    value,
+  );
+  if (!match) {
+    throw new Error(`Invalid UNTIL value: ${value}`);
+  }
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const local = {
+    year: +year,
+    month: +month,
+    day: +day,
+    hour: hour === undefined ? 23 : +hour,
+    minute: minute === undefined ? 59 : +minute,
+    second: second === undefined ? 59 : +second,
+  };
+  if (utc) {
+    return Date.UTC(
+      local.year,
+      local.month - 1,
+      local.day,
+      local.hour,
+      local.minute,
+      local.second,
+    );
+  }
+  return zonedTimeToUtc(local, timeZone);
+}
+
+/**
+ * Parses an RRULE string (with or without the "RRULE:" prefix).
+ * Throws on anything outside the supported subset.
+ */
+function parseRRule(rrule, timeZone = "UTC") {
+  if (typeof rrule !== "string" || !rrule.trim()) {
+    throw new Error("RRULE must be a non-empty string");
+  }
+
+  const rule = { interval: 1, count: null, until: null, byDay: null };
+  const body = rrule.trim().replace(/^RRULE:/i, "");
+
+  for (const pair of body.split(";").filter(Boolean)) {
+    const [rawKey, value] = pair.split("=");
+    const key = rawKey.toUpperCase();
+
+    switch (key) {
+      case "FREQ":
+        if (!FREQUENCIES.has(value?.toUpperCase())) {
+          throw new Error(`Unsupported FREQ: ${value}`);
+        }
+        rule.freq = value.toUpperCase();
+        break;
+      case "INTERVAL":
+      case "COUNT": {
+        const number = parseInt(value, 10);
+        if (!(number > 0)) {
+          throw new Error(`Invalid ${key}: ${value}`);
+        }
+        rule[key.toLowerCase()] = number;
+        break;
+      }
+      case "UNTIL":
+        rule.until = parseUntil(value, timeZone);
+        break;
+      case "BYDAY":
+        rule.byDay = value.split(",").map((code) => {
+          const weekday = WEEKDAYS.indexOf(code.toUpperCase());
+          if (weekday === -1) {
+            throw new Error(`Unsupported BYDAY value: ${code}`);
+          }
+          return weekday;
+        });
+        break;
+      case "BYMONTHDAY":
+        rule.byMonthDay = value.split(",").map((day) => {
+          const number = parseInt(day, 10);
+          if (!number || number < -31 || number > 31) {
+            throw new Error(`Invalid BYMONTHDAY value: ${day}`);
+          }
+          return number;
+        });
+        break;
+      case "WKST":
+        break;
+      default:
+        throw new Error(`Unsupported RRULE part: ${key}`);
+    }
+  }
+
+  if (!rule.freq) {
+    throw new Error("RRULE is missing FREQ");
+  }
+  if (rule.byDay && rule.freq !== "WEEKLY") {
+    throw new Error("BYDAY is only supported with FREQ=WEEKLY");
+  }
+  if (rule.byMonthDay && rule.freq !== "MONTHLY") {
+    throw new Error("BYMONTHDAY is only supported with FREQ=MONTHLY");
+  }
+  return rule;
+}
+
+/**
+ * Yields local day numbers (days since epoch) after the anchor day, in order.
+ * A month with no matching day yields null, so callers can bound the search
+ * for rules that never occur (e.g. BYMONTHDAY=31 stepping through Aprils).
+ */
+function* candidateDays(rule, anchorDay) {
+  const anchor = dayNumberToDate(anchorDay);
+
+  if (rule.freq === "DAILY") {
+    for (let day = anchorDay + rule.interval; ; day += rule.interval) {
+      yield day;
+    }
+  }
+
+  if (rule.freq === "WEEKLY") {
+    const byDay = new Set(rule.byDay || [anchor.weekday]);
+    const anchorWeekStart = anchorDay - ((anchor.weekday + 6) % 7); // Monday
+    for (let day = anchorDay + 1; ; day++) {
+      const weekIndex = Math.floor((day - anchorWeekStart) / 7);
+      if (
+        weekIndex % rule.interval === 0 &&
+        byDay.has(dayNumberToDate(day).weekday)
+      ) {
+        yield day;
+      }
+    }
+  }
+
+  // MONTHLY and YEARLY step whole months and skip days the month lacks
+  const monthStep = rule.freq === "YEARLY" ? 12 * rule.interval : rule.interval;
+  const monthDays = rule.byMonthDay || [anchor.day];
+  for (let step = 0; ; step += monthStep) {
+    const monthIndex = anchor.year * 12 + (anchor.month - 1) + step;
+    const year = Math.floor(monthIndex / 12);
+    const month = (monthIndex % 12) + 1;
+    const length = daysInMonth(year, month);
+
+    const days = monthDays
+      .map((day) => (day < 0 ? length + day + 1 : day))
+      .filter((day) => day >= 1 && day <= length)
+      .sort((a, b) => a - b);
+
+    let yielded = false;
+    for (const day of days) {
+      const dayNumber = Date.UTC(year, month - 1, day) / DAY_MS;
+      if (dayNumber > anchorDay) {
+        yielded = true;
+        yield dayNumber;
+      }
+    }
+    if (!yielded) {
+      yield null;
+    }
+  }
+}
+
+/**
+ * Computes the next occurrence of a recurring notification.
+ *
+ * @param {{rrule: string, timezone?: string}} recurrence
+ * @param {number} fireAt - the occurrence that was just delivered (ms)
+ * @param {number} occurrenceCount - occurrences so far, including fireAt
+ * @param {number} [after] - skip occurrences at or before this instant
+ * @returns {{fireAt: number, occurrenceCount: number} | null} null once the
+ *   series has reached its COUNT or UNTIL
+ */
+function getNextOccurrence(
+  recurrence,
+  fireAt,
+  occurrenceCount,
+  after = fireAt,
+) {
+  const timeZone = recurrence.timezone || "UTC";
+  const rule = parseRRule(recurrence.rrule, timeZone);
+
+  const local = getZonedParts(fireAt, timeZone);
+  const anchorDay = Date.UTC(local.year, local.month - 1, local.day) / DAY_MS;
+
+  let count = occurrenceCount;
+  let iterations = 0;
+
+  for (const dayNumber of candidateDays(rule, anchorDay)) {
+    if (++iterations > MAX_ITERATIONS || (rule.count && count >= rule.count)) {
+      return null;
+    }
+    if (dayNumber === null) {
+      continue;
+    }
+
+    const date = dayNumberToDate(dayNumber);
+    const nextFireAt = zonedTimeToUtc(
+      { ...date, hour: local.hour, minute: local.minute, second: local.second },
+      timeZone,
+    );
+    if (rule.until && nextFireAt > rule.until) {
+      return null;
+    }
+
+    // Occurrences missed while catching up still count towards COUNT
+    count++;
+    if (nextFireAt > after) {
+      return { fireAt: nextFireAt, occurrenceCount: count };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  parseRRule,
+  getNextOccurrence,
+};
@@ -0,0 +1,33 @@
+// ============================================
+// REDACTION - keep secrets out of responses and logs
+// ============================================
+
+const crypto = require("crypto");
+
+/**
+ * Shortens an FCM registration token to a prefix/suffix that is enough to
+ * tell tokens apart but useless for sending
+ */
+function redactToken(token) {
+  if (typeof token !== "string" || token.length <= 12) {
+    return "[redacted]";
+  }
+  return `${token.substring(0, 6)}…${token.substring(token.length - 4)}`;
+}
+
+/**
+ * Stable, non-reversible id for a token, for records that need to match
+ * tokens across attempts without storing them
+ */
+function hashToken(token) {
+  return crypto
+    .createHash("sha256")
+    .update(String(token))
+    .digest("hex")
+    .substring(0, 16);
+}
+
+module.exports = {
+  redactToken,
+  hashToken,
+};
@@ -0,0 +1,236 @@
+// ============================================
+// RETENTION - cleanup of finished notifications
+// ============================================
+//
+// Notifications in a final status (sent, failed, dead_letter, expired,
+// cancelled) whose fireAt is older than the retention period are deleted, or
+// with NOTIFICATION_RETENTION_MODE=archive moved to
+// users/{uid}/archivedNotifications. Their deliveryAttempts go with them.
+//
+// With NOTIFICATION_RETENTION_ROLLUP=true each removed notification is
+// first counted into a daily per-user summary,
+// users/{uid}/notificationSummaries/{YYYY-MM-DD} (UTC day of fireAt), in the
+// same batch that removes it, so a run that fails halfway never counts a
+// notification twice. Digests (notificationDigests) are not cleaned up.
+
+const admin = require("firebase-admin");
+const { config } = require("./config");
+const { metrics } = require("./metrics");
+const { logger } = require("./logger");
+
+const DAY_MS = 24 * 60 * 60000;
+
+const FINAL_STATUSES = [
+  "sent",
+  "failed",
+  "dead_letter",
+  "expired",
+  "cancelled",
+];
+
+// Notifications per page, each removed in one batch: with archiving and a
+// summary per notification that is 300 of the 500 writes a batch allows
+const PAGE_SIZE = 100;
+// Delivery attempts moved per batch (two writes each when archiving)
+const ATTEMPT_BATCH_SIZE = 250;
+
+function getUserId(doc) {
+  return doc.ref.path.split("/")[1]; // users/{uid}/pushNotifications/...
+}
+
+/**
+ * Per-user, per-day counts for one page of notifications, keyed by the
+ * summary doc path
+ */
+function buildSummaries(docs) {
+  const summaries = new Map();
+  for (const doc of docs) {
+    const { status, fireAt } = doc.data();
+    const date = new Date(fireAt).toISOString().slice(0, 10);
+    const path = `users/${getUserId(doc)}/notificationSummaries/${date}`;
+    if (!summaries.has(path)) {
+      summaries.set(path, { date, total: 0, byStatus: {} });
+    }
+    const summary = summaries.get(path);
+    summary.total += 1;
+    summary.byStatus[status] = (summary.byStatus[status] || 0) + 1;
+  }
+  return summaries;
+}
+
+/**
+ * The cleanup bound to a Firestore instance. Options default to
+ * config.retention (NOTIFICATION_RETENTION_*). One run stops after
+ * maxPerRun notifications; the next run continues.
+ */
+function createRetentionCleanup({
+  db,
+  retentionDays = config.retention.days,
+  mode = config.retention.mode,
+  rollup = config.retention.rollup,
+  maxPerRun = config.retention.maxPerRun,
+}) {
+  const archiveRefFor = (doc) =>
+    db
+      .collection("users")
+      .doc(getUserId(doc))
+      .collection("archivedNotifications")
+      .doc(doc.id);
+
+  /**
+   * Deletes (or moves to the archived copy) a notification's delivery
+   * attempts. Returns how many there were.
+   */
+  async function removeAttempts(doc) {
+    const archiveRef = mode === "archive" ? archiveRefFor(doc) : null;
+    let removed = 0;
+    for (;;) {
+      const snapshot = await doc.ref
+        .collection("deliveryAttempts")
+        .limit(ATTEMPT_BATCH_SIZE)
+        .get();
+      if (snapshot.empty) {
+        return removed;
+      }
+
+      const batch = db.batch();
+      snapshot.docs.forEach((attempt) => {
+        if (archiveRef) {
+          batch.set(
+            archiveRef.collection("deliveryAttempts").doc(attempt.id),
+            attempt.data(),
+          );
+        }
+        batch.delete(attempt.ref);
+      });
+      await batch.commit();
+      removed += snapshot.size;
+    }
+  }
+
+  /**
+   * Removes one page of notifications (attempts first, then the docs and
+   * their summaries in one batch)
+   */
+  async function removePage(docs, summaries) {
+    let attemptsRemoved = 0;
+    for (const doc of docs) {
+      attemptsRemoved += await removeAttempts(doc);
+    }
+
+    const batch = db.batch();
+    for (const [path, summary] of summaries) {
+      batch.set(
+        db.doc(path),
+        {
+          date: summary.date,
+          total: admin.firestore.FieldValue.increment(summary.total),
+          byStatus: Object.fromEntries(
+            Object.entries(summary.byStatus).map(([status, count]) => [
+              status,
+              admin.firestore.FieldValue.increment(count),
+            ]),
+          ),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        },
+        { merge: true },
+      );
+    }
+    for (const doc of docs) {
+      if (mode === "archive") {
+        batch.set(archiveRefFor(doc), {
+          ...doc.data(),
+          archivedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      }
+      batch.delete(doc.ref);
+    }
+    await batch.commit();
+    return attemptsRemoved;
+  }
+
+  /**
+   * Removes finished notifications past the retention period, up to
+   * maxPerRun. With dryRun nothing is written and the report says what
+   * would have been removed.
+   */
+  async function runCleanup({ dryRun = false } = {}) {
+    const startTime = Date.now();
+    const cutoff = startTime - retentionDays * DAY_MS;
+    const query = db
+      .collectionGroup("pushNotifications")
+      .where("status", "in", FINAL_STATUSES)
+      .where("fireAt", "<", cutoff)
+      .orderBy("fireAt");
+
+    const report = {
+      dryRun,
+      mode,
+      rollup,
+      retentionDays,
+      cutoff: new Date(cutoff).toISOString(),
+      removed: 0,
+      attemptsRemoved: 0,
+      byStatus: {},
+      summariesUpdated: 0,
+      limitReached: false,
+    };
+    const summaryPaths = new Set();
+
+    logger.info("Retention cleanup started", {
+      dryRun,
+      mode,
+      cutoff: report.cutoff,
+    });
+
+    let lastDoc = null;
+    while (report.removed < maxPerRun) {
+      // Removed docs drop out of the query, but a dry run has to page on
+      const page = dryRun && lastDoc ? query.startAfter(lastDoc) : query;
+      const limit = Math.min(PAGE_SIZE, maxPerRun - report.removed);
+      const snapshot = await page.limit(limit).get();
+      if (snapshot.empty) {
+        break;
+      }
+      lastDoc = snapshot.docs[snapshot.size - 1];
+
+      const summaries = rollup ? buildSummaries(snapshot.docs) : new Map();
+      if (dryRun) {
+        for (const doc of snapshot.docs) {
+          const attempts = await doc.ref
+            .collection("deliveryAttempts")
+            .count()
+            .get();
+          report.attemptsRemoved += attempts.data().count;
+        }
+      } else {
+        report.attemptsRemoved += await removePage(snapshot.docs, summaries);
+        metrics.retentionRemoved.inc({ mode }, snapshot.size);
+      }
+
+      snapshot.docs.forEach((doc) => {
+        const { status } = doc.data();
+        report.byStatus[status] = (report.byStatus[status] || 0) + 1;
+      });
+      summaries.forEach((summary, path) => summaryPaths.add(path));
+      report.removed += snapshot.size;
+      if (snapshot.size < limit) {
+        break;
+      }
+    }
+
+    report.summariesUpdated = summaryPaths.size;
+    report.limitReached = report.removed >= maxPerRun;
+    logger.info("Retention cleanup finished", {
+      ...report,
+      durationMs: Date.now() - startTime,
+    });
+    return report;
+  }
+
+  return { runCleanup };
+}
+
+module.exports = {
+  createRetentionCleanup,
+};
@@ -0,0 +1,171 @@
+// ============================================
+// REST API - /api/notifications/:id/action
+// ============================================
+//
+// Callback for the snooze/dismiss buttons on a reminder. There is no login:
+// the action token from the push identifies the user and notification
+// (see src/actions.js).
+
+const express = require("express");
+const admin = require("firebase-admin");
+const { HttpError, sendError } = require("../httpErrors");
+const {
+  NOTIFICATION_ACTIONS,
+  SNOOZE_DEFAULT_MINUTES,
+  SNOOZE_MAX_MINUTES,
+  verifyActionToken,
+} = require("../actions");
+const { ALLOWED_FIELDS } = require("./notifications");
+const { metrics } = require("../metrics");
+const { logger } = require("../logger");
+
+function validateActionPayload(payload) {
+  const errors = [];
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    throw new HttpError(400, "Request body must be a JSON object");
+  }
+
+  if (!NOTIFICATION_ACTIONS.includes(payload.action)) {
+    errors.push(`action must be one of: ${NOTIFICATION_ACTIONS.join(", ")}`);
+  }
+  if (typeof payload.token !== "string" || !payload.token) {
+    errors.push("token is required");
+  }
+  const minutes = payload.minutes ?? SNOOZE_DEFAULT_MINUTES;
+  if (
+    !Number.isInteger(minutes) ||
+    minutes < 1 ||
+    minutes > SNOOZE_MAX_MINUTES
+  ) {
+    errors.push(
+      `minutes must be an integer between 1 and ${SNOOZE_MAX_MINUTES}`,
+    );
+  }
+
+  if (errors.length > 0) {
+    throw new HttpError(400, "Invalid action", errors);
+  }
+  return { action: payload.action, token: payload.token, minutes };
+}
+
+/**
+ * Fields of a recurring reminder copied into its one-off snoozed repeat
+ */
+function getSnoozeCopyFields(notificationData) {
+  const fields = {};
+  for (const key of ALLOWED_FIELDS) {
+    if (key !== "recurrence" && notificationData[key] !== undefined) {
+      fields[key] = notificationData[key];
+    }
+  }
+  return fields;
+}
+
+/**
+ * Router for the reminder action callback. Mount at /api/notifications.
+ */
+function createActionsRouter({ db, secret }) {
+  const router = express.Router();
+  router.use(express.json());
+
+  // Snooze puts a one-shot reminder back on the schedule; a recurring one
+  // gets a one-off repeat so the series itself is left alone. Dismiss only
+  // records the tap.
+  router.post("/:id/action", async (req, res) => {
+    try {
+      const { action, token, minutes } = validateActionPayload(req.body);
+      const now = Date.now();
+      const claims = verifyActionToken(secret, token, req.params.id, now);
+      if (!claims) {
+        throw new HttpError(401, "Invalid or expired action token");
+      }
+
+      const notificationsRef = db
+        .collection("users")
+        .doc(claims.userId)
+        .collection("pushNotifications");
+      const ref = notificationsRef.doc(req.params.id);
+      const lastAction = {
+        action,
+        tokenIssuedAt: claims.issuedAt,
+        at: admin.firestore.FieldValue.serverTimestamp(),
+      };
+
+      const result = await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        if (!doc.exists) {
+          throw new HttpError(404, "Notification not found");
+        }
+        const data = doc.data();
+        if (data.lastAction?.tokenIssuedAt >= claims.issuedAt) {
+          throw new HttpError(
+            409,
+            `This notification was already handled ("${data.lastAction.action}")`,
+          );
+        }
+
+        if (action === "dismiss") {
+          transaction.update(ref, {
+            lastAction,
+            dismissedAt: admin.firestore.FieldValue.serverTimestamp(),
+          });
+          return { notificationId: ref.id };
+        }
+
+        const fireAt = now + minutes * 60000;
+        if (data.recurrence) {
+          if (data.status === "cancelled") {
+            throw new HttpError(409, "Cannot snooze a cancelled series");
+          }
+          const snoozeRef = notificationsRef.doc();
+          transaction.create(snoozeRef, {
+            ...getSnoozeCopyFields(data),
+            fireAt,
+            status: "scheduled",
+            snoozedFrom: ref.id,
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            createdVia: "snooze",
+          });
+          transaction.update(ref, { lastAction });
+          return { notificationId: snoozeRef.id, fireAt };
+        }
+
+        if (data.status !== "sent") {
+          throw new HttpError(
+            409,
+            `Cannot snooze a notification with status "${data.status}"`,
+          );
+        }
+        transaction.update(ref, {
+          status: "scheduled",
+          fireAt,
+          snoozeCount: admin.firestore.FieldValue.increment(1),
+          lastAction,
+          originalFireAt: admin.firestore.FieldValue.delete(),
+          late: admin.firestore.FieldValue.delete(),
+          lateByMs: admin.firestore.FieldValue.delete(),
+          retryCount: admin.firestore.FieldValue.delete(),
+          nextAttemptAt: admin.firestore.FieldValue.delete(),
+        });
+        return { notificationId: ref.id, fireAt };
+      });
+
+      metrics.notificationActions.inc({ action });
+      logger.info("Notification action", {
+        userId: claims.userId,
+        notificationId: req.params.id,
+        action,
+        ...result,
+      });
+      res.json({ success: true, action, ...result });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createActionsRouter,
+};
@@ -0,0 +1,270 @@
+// ============================================
+// REST API - /api/admin (dashboard)
+// ============================================
+//
+// Cursor-paginated notification search and aggregate stats. Stats use
+// Firestore count() aggregations, which are billed per 1000 index entries
+// rather than per document, so they stay cheap as collections grow.
+
+const express = require("express");
+const { requireAdmin } = require("../auth");
+const { HttpError, sendError } = require("../httpErrors");
+
+const NOTIFICATION_STATUSES = [
+  "scheduled",
+  "sending",
+  "retrying",
+  "sent",
+  "failed",
+  "dead_letter",
+  "expired",
+  "cancelled",
+];
+
+const LIST_DEFAULT_LIMIT = 50;
+const LIST_MAX_LIMIT = 200;
+
+const STATS_DEFAULT_DAYS = 7;
+const STATS_MAX_DAYS = 31;
+const DAY_MS = 24 * 60 * 60000;
+
+// Users without tokens listed in the stats response (the count is exact)
+const USERS_WITHOUT_TOKENS_SAMPLE = 50;
+
+const CURSOR_PATH = /^users\/[^/]+\/pushNotifications\/[^/]+$/;
+
+/**
+ * Epoch millis from a millis or ISO 8601 query value
+ */
+function parseTime(value, name, errors) {
+  if (value === undefined) {
+    return null;
+  }
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (!Number.isFinite(time)) {
+    errors.push(`${name} must be epoch millis or an ISO 8601 date`);
+    return null;
+  }
+  return time;
+}
+
+/**
+ * Cursors are the base64url path of the last document on the previous page
+ */
+function encodeCursor(doc) {
+  return Buffer.from(doc.ref.path).toString("base64url");
+}
+
+function decodeCursor(cursor, userId) {
+  const path = Buffer.from(cursor, "base64url").toString();
+  const inScope = !userId || path.startsWith(`users/${userId}/`);
+  return CURSOR_PATH.test(path) && inScope ? path : null;
+}
+
+function validateSearchQuery(query) {
+  const errors = [];
+  if (query.status && !NOTIFICATION_STATUSES.includes(query.status)) {
+    errors.push(`status must be one of: ${NOTIFICATION_STATUSES.join(", ")}`);
+  }
+  const from = parseTime(query.from, "from", errors);
+  const to = parseTime(query.to, "to", errors);
+  const cursorPath = query.cursor
+    ? decodeCursor(query.cursor, query.userId)
+    : null;
+  if (query.cursor && !cursorPath) {
+    errors.push("cursor is invalid");
+  }
+
+  if (errors.length > 0) {
+    throw new HttpError(400, "Invalid query", errors);
+  }
+  return {
+    status: query.status || null,
+    userId: query.userId || null,
+    eventId: query.eventId || null,
+    from,
+    to,
+    cursorPath,
+    limit: Math.min(
+      parseInt(query.limit, 10) || LIST_DEFAULT_LIMIT,
+      LIST_MAX_LIMIT,
+    ),
+  };
+}
+
+async function countQuery(query) {
+  const snapshot = await query.count().get();
+  return snapshot.data().count;
+}
+
+function serializeNotification(doc) {
+  return { id: doc.id, userId: doc.ref.path.split("/")[1], ...doc.data() };
+}
+
+/**
+ * Admin-only router for the dashboard (ADMIN_API_KEY or `admin` claim).
+ * Mount at /api/admin.
+ */
+function createAdminRouter({ db, auth, apiKey }) {
+  const router = express.Router();
+  router.use(requireAdmin({ auth, apiKey }));
+
+  // Notifications of one user (?userId) or of everyone, oldest fireAt
+  // first. Filters: status, eventId, from/to (fireAt range, to exclusive).
+  // Pass the returned nextCursor as ?cursor for the next page.
+  router.get("/notifications", async (req, res) => {
+    try {
+      const search = validateSearchQuery(req.query);
+
+      let query = search.userId
+        ? db
+            .collection("users")
+            .doc(search.userId)
+            .collection("pushNotifications")
+        : db.collectionGroup("pushNotifications");
+      if (search.status) {
+        query = query.where("status", "==", search.status);
+      }
+      if (search.eventId) {
+        query = query.where("eventId", "==", search.eventId);
+      }
+      if (search.from !== null) {
+        query = query.where("fireAt", ">=", search.from);
+      }
+      if (search.to !== null) {
+        query = query.where("fireAt", "<", search.to);
+      }
+      query = query.orderBy("fireAt");
+
+      if (search.cursorPath) {
+        const cursorDoc = await db.doc(search.cursorPath).get();
+        if (!cursorDoc.exists) {
+          throw new HttpError(
+            400,
+            "Cursor document no longer exists; restart from the first page",
+          );
+        }
+        query = query.startAfter(cursorDoc);
+      }
+
+      // One extra document tells whether there is a next page
+      const snapshot = await query.limit(search.limit + 1).get();
+      const docs = snapshot.docs.slice(0, search.limit);
+      const hasMore = snapshot.docs.length > search.limit;
+
+      res.json({
+        success: true,
+        count: docs.length,
+        notifications: docs.map(serializeNotification),
+        nextCursor: hasMore ? encodeCursor(docs[docs.length - 1]) : null,
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Counts per status (all time) and per UTC day of fireAt for the last
+  // ?days days, the share of finished notifications in that window that
+  // were sent, and the users whose devices are all gone. "sent" means a
+  // channel delivered the notification; ones no channel could deliver (no
+  // tokens, every token rejected) count as failed.
+  router.get("/stats", async (req, res) => {
+    try {
+      const days = parseInt(req.query.days, 10) || STATS_DEFAULT_DAYS;
+      if (days < 1 || days > STATS_MAX_DAYS) {
+        throw new HttpError(
+          400,
+          `days must be between 1 and ${STATS_MAX_DAYS}`,
+        );
+      }
+
+      const notifications = db.collectionGroup("pushNotifications");
+      const todayStart = Math.floor(Date.now() / DAY_MS) * DAY_MS;
+      const windowStart = todayStart - (days - 1) * DAY_MS;
+      const windowEnd = todayStart + DAY_MS;
+      const inWindow = (query) =>
+        query
+          .where("fireAt", ">=", windowStart)
+          .where("fireAt", "<", windowEnd);
+
+      const [byStatus, byDay, outcomes, usersWithoutTokens] = await Promise.all(
+        [
+          Promise.all(
+            NOTIFICATION_STATUSES.map(async (status) => [
+              status,
+              await countQuery(notifications.where("status", "==", status)),
+            ]),
+          ),
+          Promise.all(
+            Array.from({ length: days }, async (_, index) => {
+              const dayStart = windowStart + index * DAY_MS;
+              return {
+                date: new Date(dayStart).toISOString().slice(0, 10),
+                count: await countQuery(
+                  notifications
+                    .where("fireAt", ">=", dayStart)
+                    .where("fireAt", "<", dayStart + DAY_MS),
+                ),
+              };
+            }),
+          ),
+          Promise.all(
+            ["sent", "failed", "dead_letter", "expired"].map((status) =>
+              countQuery(inWindow(notifications.where("status", "==", status))),
+            ),
+          ),
+          getUsersWithoutTokens(),
+        ],
+      );
+
+      const [sent, failed, deadLetter, expired] = outcomes;
+      const finished = sent + failed + deadLetter + expired;
+      res.json({
+        success: true,
+        window: {
+          from: new Date(windowStart).toISOString(),
+          to: new Date(windowEnd).toISOString(),
+          days,
+        },
+        byStatus: Object.fromEntries(byStatus),
+        byDay,
+        delivery: {
+          sent,
+          failed,
+          deadLetter,
+          expired,
+          successRate: finished > 0 ? sent / finished : null,
+        },
+        usersWithoutTokens,
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * Users who registered a device and have no FCM tokens left, from the
+   * fcmTokenCount kept on each user doc (see tokenCounts.js)
+   */
+  async function getUsersWithoutTokens() {
+    const withoutTokens = db
+      .collection("users")
+      .where("fcmTokenCount", "==", 0);
+    const [count, registeredUsers, sample] = await Promise.all([
+      countQuery(withoutTokens),
+      countQuery(db.collection("users").where("fcmTokenCount", ">=", 0)),
+      withoutTokens.limit(USERS_WITHOUT_TOKENS_SAMPLE).get(),
+    ]);
+    return {
+      count,
+      registeredUsers,
+      userIds: sample.docs.map((doc) => doc.id),
+    };
+  }
+
+  return router;
+}
+
+module.exports = {
+  createAdminRouter,
+};
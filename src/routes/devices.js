@@ -0,0 +1,201 @@
+// ============================================
+// REST API - /api/devices
+// ============================================
+
+const express = require("express");
+const admin = require("firebase-admin");
+const { verifyFirebaseToken } = require("../auth");
+const { HttpError, sendError } = require("../httpErrors");
+const { redactToken } = require("../redact");
+const { logger } = require("../logger");
+const { PLATFORMS } = require("../targeting");
+const { syncTokenTopics, unsubscribeTokensFromGroups } = require("../groups");
+const { refreshTokenCounts } = require("../tokenCounts");
+
+function validateDevicePayload(payload) {
+  const errors = [];
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    throw new HttpError(400, "Request body must be a JSON object");
+  }
+
+  for (const field of ["token", "deviceId"]) {
+    if (typeof payload[field] !== "string" || !payload[field].trim()) {
+      errors.push(`${field} is required`);
+    }
+  }
+  if (typeof payload.token === "string" && payload.token.includes("/")) {
+    errors.push("token is not a valid FCM registration token");
+  }
+  if (!PLATFORMS.includes(payload.platform)) {
+    errors.push(`platform must be one of: ${PLATFORMS.join(", ")}`);
+  }
+  if (
+    payload.locale !== undefined &&
+    (typeof payload.locale !== "string" || payload.locale.length > 35)
+  ) {
+    errors.push("locale must be a string of at most 35 characters");
+  }
+  if (
+    payload.appVersion !== undefined &&
+    (typeof payload.appVersion !== "string" || payload.appVersion.length > 50)
+  ) {
+    errors.push("appVersion must be a string of at most 50 characters");
+  }
+
+  if (errors.length > 0) {
+    throw new HttpError(400, "Invalid device", errors);
+  }
+  return {
+    token: payload.token.trim(),
+    deviceId: payload.deviceId.trim(),
+    platform: payload.platform,
+    appVersion: payload.appVersion || null,
+    locale: payload.locale || null,
+  };
+}
+
+function serializeDevice(doc) {
+  const data = doc.data();
+  return {
+    deviceId: data.deviceId || null,
+    platform: data.platform || null,
+    appVersion: data.appVersion || null,
+    locale: data.locale || null,
+    lastSeen: data.lastSeen || null,
+    tokenPreview: redactToken(doc.id),
+  };
+}
+
+/**
+ * Router for the signed-in user's FCM token registrations.
+ * Mount at /api/devices.
+ */
+function createDevicesRouter({ db, auth, messaging }) {
+  const router = express.Router();
+  router.use(express.json());
+  router.use(verifyFirebaseToken(auth));
+
+  const tokensRef = (uid) =>
+    db.collection("users").doc(uid).collection("fcmTokens");
+
+  // Register a new token or refresh an existing one. A device only keeps
+  // its latest token, so rotated tokens are dropped here.
+  router.post("/", async (req, res) => {
+    try {
+      const device = validateDevicePayload(req.body);
+      const uid = req.user.uid;
+
+      const sameDeviceSnapshot = await tokensRef(uid)
+        .where("deviceId", "==", device.deviceId)
+        .get();
+
+      const batch = db.batch();
+      sameDeviceSnapshot.docs
+        .filter((doc) => doc.id !== device.token)
+        .forEach((doc) => batch.delete(doc.ref));
+
+      const tokenRef = tokensRef(uid).doc(device.token);
+      const isNew = !sameDeviceSnapshot.docs.some(
+        (doc) => doc.id === device.token,
+      );
+      batch.set(
+        tokenRef,
+        {
+          deviceId: device.deviceId,
+          platform: device.platform,
+          appVersion: device.appVersion,
+          locale: device.locale,
+          lastSeen: Date.now(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          ...(isNew && {
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          }),
+        },
+        { merge: true },
+      );
+      await batch.commit();
+      await refreshTokenCounts(db, [uid]);
+
+      logger.info(isNew ? "Registered token" : "Refreshed token", {
+        userId: uid,
+        deviceId: device.deviceId,
+        token: device.token,
+      });
+
+      // Best effort: the device is registered either way, and the app
+      // re-registers (and so re-syncs) on every launch
+      try {
+        await syncTokenTopics({
+          db,
+          messaging,
+          userId: uid,
+          token: device.token,
+        });
+      } catch (error) {
+        logger.error("Syncing group topics failed", { userId: uid, error });
+      }
+      res
+        .status(isNew ? 201 : 200)
+        .json({ success: true, device: serializeDevice(await tokenRef.get()) });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.get("/", async (req, res) => {
+    try {
+      const snapshot = await tokensRef(req.user.uid).get();
+      res.json({
+        success: true,
+        count: snapshot.size,
+        devices: snapshot.docs.map(serializeDevice),
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.delete("/:deviceId", async (req, res) => {
+    try {
+      const snapshot = await tokensRef(req.user.uid)
+        .where("deviceId", "==", req.params.deviceId)
+        .get();
+      if (snapshot.empty) {
+        throw new HttpError(404, "Device not found");
+      }
+
+      const batch = db.batch();
+      snapshot.docs.forEach((doc) => batch.delete(doc.ref));
+      await batch.commit();
+      await refreshTokenCounts(db, [req.user.uid]);
+
+      try {
+        await unsubscribeTokensFromGroups({
+          db,
+          messaging,
+          userId: req.user.uid,
+          tokens: snapshot.docs.map((doc) => doc.id),
+        });
+      } catch (error) {
+        logger.error("Unsubscribing group topics failed", {
+          userId: req.user.uid,
+          error,
+        });
+      }
+
+      logger.info("Removed device", {
+        userId: req.user.uid,
+        deviceId: req.params.deviceId,
+      });
+      res.json({ success: true, removedTokens: snapshot.size });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createDevicesRouter,
+};
@@ -0,0 +1,143 @@
+// ============================================
+// REST API - /api/groups/:groupId
+// ============================================
+
+const express = require("express");
+const admin = require("firebase-admin");
+const { verifyFirebaseToken } = require("../auth");
+const { HttpError, sendError } = require("../httpErrors");
+const { setGroupMuted } = require("../groups");
+const { validateNotificationPayload } = require("./notifications");
+const { logger } = require("../logger");
+
+// Broadcasts go to the whole group, so per-user fields (deviceId,
+// targeting, channels, recurrence) don't apply
+const BROADCAST_FIELDS = new Set([
+  "fireAt",
+  "title",
+  "body",
+  "eventId",
+  "eventName",
+  "dateKey",
+  "type",
+  "locale",
+  "variables",
+]);
+
+const LIST_DEFAULT_LIMIT = 50;
+const LIST_MAX_LIMIT = 200;
+
+function serializeBroadcast(doc) {
+  return { id: doc.id, ...doc.data() };
+}
+
+/**
+ * Router for a group's broadcasts and for muting a group. Only members (or
+ * a token with the `admin` claim) may use it. Mount at /api/groups.
+ */
+function createGroupsRouter({ db, auth, messaging }) {
+  const router = express.Router();
+  router.use(express.json());
+  router.use(verifyFirebaseToken(auth));
+
+  const groupRef = (groupId) => db.collection("groups").doc(groupId);
+
+  // Loads the group into req.group for every /:groupId route
+  router.param("groupId", async (req, res, next, groupId) => {
+    try {
+      const doc = await groupRef(groupId).get();
+      if (!doc.exists) {
+        throw new HttpError(404, "Group not found");
+      }
+      const group = doc.data();
+      const isMember = (group.memberIds || []).includes(req.user.uid);
+      if (!isMember && req.user.admin !== true) {
+        throw new HttpError(403, "Forbidden");
+      }
+      req.group = group;
+      next();
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.post("/:groupId/broadcasts", async (req, res) => {
+    try {
+      const value = validateNotificationPayload(req.body, {
+        allowedFields: BROADCAST_FIELDS,
+      });
+      const ref = groupRef(req.params.groupId).collection("broadcasts").doc();
+      await ref.set({
+        ...value,
+        status: "scheduled",
+        createdBy: req.user.uid,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        createdVia: "api",
+      });
+
+      logger.info("Created broadcast", {
+        groupId: req.params.groupId,
+        broadcastId: ref.id,
+        userId: req.user.uid,
+      });
+      res.status(201).json({
+        success: true,
+        broadcast: serializeBroadcast(await ref.get()),
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.get("/:groupId/broadcasts", async (req, res) => {
+    try {
+      const limit = Math.min(
+        parseInt(req.query.limit, 10) || LIST_DEFAULT_LIMIT,
+        LIST_MAX_LIMIT,
+      );
+      let query = groupRef(req.params.groupId).collection("broadcasts");
+      if (req.query.status) {
+        query = query.where("status", "==", req.query.status);
+      }
+      const snapshot = await query.orderBy("fireAt").limit(limit).get();
+
+      res.json({
+        success: true,
+        count: snapshot.size,
+        broadcasts: snapshot.docs.map(serializeBroadcast),
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Mute and unmute are idempotent; both apply to the calling member only
+  const muteHandler = (muted) => async (req, res) => {
+    try {
+      await setGroupMuted({
+        db,
+        messaging,
+        userId: req.user.uid,
+        groupId: req.params.groupId,
+        muted,
+        group: req.group,
+      });
+
+      logger.info(muted ? "Muted group" : "Unmuted group", {
+        groupId: req.params.groupId,
+        userId: req.user.uid,
+      });
+      res.json({ success: true, groupId: req.params.groupId, muted });
+    } catch (error) {
+      sendError(res, error);
+    }
+  };
+  router.put("/:groupId/mute", muteHandler(true));
+  router.delete("/:groupId/mute", muteHandler(false));
+
+  return router;
+}
+
+module.exports = {
+  createGroupsRouter,
+};
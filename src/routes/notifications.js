@@ -0,0 +1,398 @@
+// ============================================
+// REST API - /api/users/:uid/notifications
+// ============================================
+
+const express = require("express");
+const admin = require("firebase-admin");
+const { verifyFirebaseToken, requireSameUser } = require("../auth");
+const { HttpError, sendError } = require("../httpErrors");
+const { parseRRule } = require("../recurrence");
+const { getZonedParts } = require("../timezone");
+const { CHANNEL_NAMES } = require("../channels");
+const { hasTemplate } = require("../templates");
+const { validateTargeting } = require("../targeting");
+const { config } = require("../config");
+const { logger } = require("../logger");
+
+// Optional string fields and their maximum lengths
+const STRING_FIELDS = {
+  title: 200,
+  body: 1000,
+  eventId: 200,
+  eventName: 200,
+  dateKey: 50,
+  deviceId: 200,
+  type: 50,
+  locale: 35,
+};
+const ALLOWED_FIELDS = new Set([
+  "fireAt",
+  "recurrence",
+  "channels",
+  "eventStartAt",
+  "variables",
+  "targeting",
+  ...Object.keys(STRING_FIELDS),
+]);
+
+// Only notifications that haven't been picked up yet can change
+const MUTABLE_STATUSES = new Set(["scheduled", "retrying"]);
+
+// Fields cleared when an update moves fireAt, so the doc fires at the new
+// time instead of on a pending retry or quiet-hours deferral
+const RESCHEDULE_RESET_FIELDS = [
+  "retryCount",
+  "nextAttemptAt",
+  "originalFireAt",
+];
+
+// A past fireAt is moved up to now: the sweep's due query starts at the
+// previous sweep's start time, so an earlier fireAt would never be picked
+// up. Times more than the grace period in the past are rejected outright.
+const MAX_PAST_FIRE_AT_MS = config.sweep.gracePeriodMs;
+
+const LIST_DEFAULT_LIMIT = 50;
+const LIST_MAX_LIMIT = 200;
+
+function validateRecurrence(recurrence, errors) {
+  if (recurrence === null) {
+    return;
+  }
+  if (typeof recurrence !== "object" || Array.isArray(recurrence)) {
+    errors.push("recurrence must be an object with rrule and timezone");
+    return;
+  }
+  try {
+    getZonedParts(Date.now(), recurrence.timezone || "UTC");
+  } catch (error) {
+    errors.push(`recurrence.timezone is not a valid timezone`);
+    return;
+  }
+  try {
+    parseRRule(recurrence.rrule, recurrence.timezone || "UTC");
+  } catch (error) {
+    errors.push(`recurrence.rrule: ${error.message}`);
+  }
+}
+
+/**
+ * Validates a create (or, with partial, update) payload and returns only the
+ * writable fields. Throws a 400 HttpError listing every problem found.
+ * allowedFields narrows the writable fields (group broadcasts use a subset).
+ */
+function validateNotificationPayload(
+  payload,
+  { partial = false, allowedFields = ALLOWED_FIELDS } = {},
+) {
+  const errors = [];
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    throw new HttpError(400, "Request body must be a JSON object");
+  }
+
+  for (const key of Object.keys(payload)) {
+    if (!allowedFields.has(key)) {
+      errors.push(`Unknown field: ${key}`);
+    }
+  }
+
+  if (payload.fireAt !== undefined || !partial) {
+    if (!Number.isSafeInteger(payload.fireAt) || payload.fireAt <= 0) {
+      errors.push("fireAt must be a timestamp in milliseconds");
+    } else if (payload.fireAt < Date.now() - MAX_PAST_FIRE_AT_MS) {
+      errors.push(
+        `fireAt must not be more than ${Math.round(MAX_PAST_FIRE_AT_MS / 60000)} minutes in the past`,
+      );
+    }
+  }
+
+  for (const [field, maxLength] of Object.entries(STRING_FIELDS)) {
+    const value = payload[field];
+    if (value === undefined) {
+      continue;
+    }
+    if (typeof value !== "string") {
+      errors.push(`${field} must be a string`);
+    } else if (value.length > maxLength) {
+      errors.push(`${field} must be at most ${maxLength} characters`);
+    }
+  }
+
+  if (payload.recurrence !== undefined) {
+    validateRecurrence(payload.recurrence, errors);
+  }
+
+  if (typeof payload.type === "string" && !hasTemplate(payload.type)) {
+    errors.push(`type has no template: ${payload.type}`);
+  }
+
+  if (
+    payload.eventStartAt !== undefined &&
+    payload.eventStartAt !== null &&
+    !Number.isSafeInteger(payload.eventStartAt)
+  ) {
+    errors.push("eventStartAt must be a timestamp in milliseconds");
+  }
+
+  if (payload.variables !== undefined && payload.variables !== null) {
+    const valid =
+      typeof payload.variables === "object" &&
+      !Array.isArray(payload.variables) &&
+      Object.values(payload.variables).every((value) =>
+        ["string", "number"].includes(typeof value),
+      );
+    if (!valid) {
+      errors.push("variables must map names to strings or numbers");
+    }
+  }
+
+  if (payload.channels !== undefined && payload.channels !== null) {
+    if (
+      !Array.isArray(payload.channels) ||
+      payload.channels.length === 0 ||
+      !payload.channels.every((name) => CHANNEL_NAMES.includes(name))
+    ) {
+      errors.push(`channels must be a list of: ${CHANNEL_NAMES.join(", ")}`);
+    }
+  }
+
+  if (payload.targeting !== undefined && payload.targeting !== null) {
+    const error = validateTargeting(payload.targeting);
+    if (error) {
+      errors.push(error);
+    }
+  }
+
+  if (partial && Object.keys(payload).length === 0) {
+    errors.push("Nothing to update");
+  }
+  if (errors.length > 0) {
+    throw new HttpError(400, "Invalid notification", errors);
+  }
+
+  const value = {};
+  for (const key of allowedFields) {
+    if (payload[key] !== undefined) {
+      value[key] = payload[key];
+    }
+  }
+  if (value.fireAt !== undefined) {
+    value.fireAt = Math.max(value.fireAt, Date.now());
+  }
+  return value;
+}
+
+function serializeNotification(doc) {
+  return { id: doc.id, ...doc.data() };
+}
+
+function notFound() {
+  return new HttpError(404, "Notification not found");
+}
+
+function conflict(action, status) {
+  return new HttpError(
+    409,
+    `Cannot ${action} a notification with status "${status}"`,
+  );
+}
+
+/**
+ * Router for creating, listing, updating and cancelling a user's
+ * notifications. Mount at /api/users/:uid/notifications.
+ */
+function createNotificationsRouter({ db, auth }) {
+  const router = express.Router({ mergeParams: true });
+  router.use(express.json());
+  router.use(verifyFirebaseToken(auth), requireSameUser);
+
+  const notificationsRef = (uid) =>
+    db.collection("users").doc(uid).collection("pushNotifications");
+
+  router.post("/", async (req, res) => {
+    try {
+      const value = validateNotificationPayload(req.body);
+      const ref = notificationsRef(req.params.uid).doc();
+      await ref.set({
+        ...value,
+        status: "scheduled",
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        createdVia: "api",
+      });
+
+      logger.info("Created notification", {
+        userId: req.params.uid,
+        notificationId: ref.id,
+      });
+      res.status(201).json({
+        success: true,
+        notification: serializeNotification(await ref.get()),
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.get("/", async (req, res) => {
+    try {
+      const limit = Math.min(
+        parseInt(req.query.limit, 10) || LIST_DEFAULT_LIMIT,
+        LIST_MAX_LIMIT,
+      );
+      let query = notificationsRef(req.params.uid);
+      if (req.query.status) {
+        query = query.where("status", "==", req.query.status);
+      }
+      const snapshot = await query.orderBy("fireAt").limit(limit).get();
+
+      res.json({
+        success: true,
+        count: snapshot.size,
+        notifications: snapshot.docs.map(serializeNotification),
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.get("/:id", async (req, res) => {
+    try {
+      const doc = await notificationsRef(req.params.uid)
+        .doc(req.params.id)
+        .get();
+      if (!doc.exists) {
+        throw notFound();
+      }
+      res.json({ success: true, notification: serializeNotification(doc) });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Append-only delivery audit log, newest LIST_MAX_LIMIT attempts first
+  // (recurring notifications keep adding to it). Notifications sent as part
+  // of a digest also include the digest's attempts, tagged with its digestId.
+  router.get("/:id/deliveries", async (req, res) => {
+    try {
+      const ref = notificationsRef(req.params.uid).doc(req.params.id);
+      const doc = await ref.get();
+      if (!doc.exists) {
+        throw notFound();
+      }
+
+      const sources = [{ ref, digestId: null }];
+      const { digestId } = doc.data();
+      if (digestId) {
+        sources.push({
+          ref: db
+            .collection("users")
+            .doc(req.params.uid)
+            .collection("notificationDigests")
+            .doc(digestId),
+          digestId,
+        });
+      }
+
+      const deliveries = [];
+      for (const source of sources) {
+        const snapshot = await source.ref
+          .collection("deliveryAttempts")
+          .orderBy("attemptedAt", "desc")
+          .limit(LIST_MAX_LIMIT)
+          .get();
+        snapshot.docs.forEach((attemptDoc) => {
+          deliveries.push({
+            id: attemptDoc.id,
+            ...attemptDoc.data(),
+            ...(source.digestId && { digestId: source.digestId }),
+          });
+        });
+      }
+      deliveries.sort((a, b) => b.attemptedAt - a.attemptedAt);
+      deliveries.splice(LIST_MAX_LIMIT);
+
+      res.json({ success: true, count: deliveries.length, deliveries });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.patch("/:id", async (req, res) => {
+    try {
+      const value = validateNotificationPayload(req.body, { partial: true });
+      const ref = notificationsRef(req.params.uid).doc(req.params.id);
+
+      // Transaction so an update can't race a sweep claiming the doc
+      await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        if (!doc.exists) {
+          throw notFound();
+        }
+        if (!MUTABLE_STATUSES.has(doc.data().status)) {
+          throw conflict("update", doc.data().status);
+        }
+        const rescheduled =
+          value.fireAt !== undefined && value.fireAt !== doc.data().fireAt;
+        transaction.update(ref, {
+          ...value,
+          ...(rescheduled && {
+            status: "scheduled",
+            ...Object.fromEntries(
+              RESCHEDULE_RESET_FIELDS.map((field) => [
+                field,
+                admin.firestore.FieldValue.delete(),
+              ]),
+            ),
+          }),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      });
+
+      res.json({
+        success: true,
+        notification: serializeNotification(await ref.get()),
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.delete("/:id", async (req, res) => {
+    try {
+      const ref = notificationsRef(req.params.uid).doc(req.params.id);
+
+      // Cancelled docs are never claimed by the sweep
+      await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        if (!doc.exists) {
+          throw notFound();
+        }
+        if (!MUTABLE_STATUSES.has(doc.data().status)) {
+          throw conflict("cancel", doc.data().status);
+        }
+        transaction.update(ref, {
+          status: "cancelled",
+          cancelledAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      });
+
+      logger.info("Cancelled notification", {
+        userId: req.params.uid,
+        notificationId: ref.id,
+      });
+      res.json({
+        success: true,
+        notification: serializeNotification(await ref.get()),
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  ALLOWED_FIELDS,
+  validateNotificationPayload,
+  createNotificationsRouter,
+};
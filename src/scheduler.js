@@ -0,0 +1,111 @@
+// ============================================
+// SCHEDULER - optional in-process sweep loop
+// ============================================
+//
+// Runs the sweep every intervalMs, aligned to interval boundaries (so with
+// 60s the sweep starts at the top of each minute). Each run is scheduled
+// from the previous target time rather than from when the timer fired, so
+// timer lag doesn't accumulate. A tick that lands while a sweep is still
+// running is skipped instead of overlapping it.
+
+const crypto = require("crypto");
+const { logger } = require("./logger");
+
+function createSweepScheduler({ runSweep, intervalMs }) {
+  let timer = null;
+  let stopped = true;
+  let nextRunAt = null;
+  let inFlight = null;
+
+  const status = {
+    running: false,
+    skippedRuns: 0,
+    lastRun: null,
+  };
+
+  function scheduleNext() {
+    if (stopped) {
+      return;
+    }
+    const now = Date.now();
+    nextRunAt = nextRunAt
+      ? nextRunAt + intervalMs
+      : now - (now % intervalMs) + intervalMs;
+    // Fell behind (slow event loop, suspended host): skip to the next slot
+    while (nextRunAt <= now) {
+      nextRunAt += intervalMs;
+    }
+    timer = setTimeout(tick, nextRunAt - now);
+  }
+
+  async function tick() {
+    scheduleNext();
+
+    if (inFlight) {
+      status.skippedRuns += 1;
+      logger.warn("Previous sweep still running, skipping scheduled run");
+      return;
+    }
+
+    const sweepId = crypto.randomUUID();
+    const startedAt = Date.now();
+    status.running = true;
+    inFlight = runSweep({ sweepId }).then(
+      (sent) => ({ result: "success", sent }),
+      (error) => ({ result: "error", error: error.message }),
+    );
+
+    const outcome = await inFlight;
+    inFlight = null;
+    status.running = false;
+    status.lastRun = {
+      sweepId,
+      startedAt: new Date(startedAt).toISOString(),
+      finishedAt: new Date().toISOString(),
+      durationMs: Date.now() - startedAt,
+      ...outcome,
+    };
+  }
+
+  return {
+    start() {
+      if (!stopped) {
+        return;
+      }
+      stopped = false;
+      scheduleNext();
+      logger.info("Scheduler started", {
+        intervalMs,
+        nextRunAt: new Date(nextRunAt).toISOString(),
+      });
+    },
+
+    /**
+     * Stops scheduling new runs and resolves once the in-flight sweep (if
+     * any) has finished
+     */
+    async stop() {
+      stopped = true;
+      clearTimeout(timer);
+      nextRunAt = null;
+      if (inFlight) {
+        logger.info("Waiting for in-flight sweep to finish");
+        await inFlight;
+      }
+      logger.info("Scheduler stopped");
+    },
+
+    getStatus() {
+      return {
+        enabled: true,
+        intervalMs,
+        nextRunAt: nextRunAt && new Date(nextRunAt).toISOString(),
+        ...status,
+      };
+    },
+  };
+}
+
+module.exports = {
+  createSweepScheduler,
+};
@@ -0,0 +1,1959 @@
+// ============================================
+// NOTIFICATION SWEEP - find, claim and deliver due notifications
+// ============================================
+//
+// createNotificationSweep() binds the sweep to a Firestore instance and an
+// FCM client, so it runs the same against Firebase or in-memory stand-ins.
+
+const crypto = require("crypto");
+const os = require("os");
+const admin = require("firebase-admin");
+const { getNextOccurrence } = require("./recurrence");
+const { getDeliveryDecision, applySilentDelivery } = require("./quietHours");
+const { resolveChannelOrder } = require("./channels");
+const { resolveTargeting, getFcmTargets } = require("./targeting");
+const {
+  DEFAULT_TYPE,
+  renderNotificationContent,
+  renderActionTitles,
+} = require("./templates");
+const {
+  NOTIFICATION_ACTIONS,
+  SNOOZE_DEFAULT_MINUTES,
+  APNS_ACTION_CATEGORY,
+  createActionToken,
+} = require("./actions");
+const { createEmailChannel } = require("./channels/email");
+const { createWebhookChannel } = require("./channels/webhook");
+const { redactToken, hashToken } = require("./redact");
+const { config } = require("./config");
+const { metrics } = require("./metrics");
+const { logger, withLogContext } = require("./logger");
+const { mapWithConcurrency, createRateLimiter } = require("./concurrency");
+const { topicForGroup, isGroupMuted } = require("./groups");
+const { refreshTokenCounts } = require("./tokenCounts");
+
+// Catch-up delivery: reminders older than the on-time window are sent "late",
+// reminders older than the grace period are marked "expired" instead
+const ON_TIME_WINDOW_MS = 60000;
+const CATCHUP_GRACE_MS = config.sweep.gracePeriodMs;
+
+// Claim/lease: a sweep owns the notifications it claims until the lease
+// expires, after which a later sweep may recover them
+const LEASE_DURATION_MS = config.sweep.leaseMs;
+const INSTANCE_ID =
+  config.sweep.instanceId ||
+  `${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString("hex")}`;
+
+// Retry policy: transient FCM errors are retried with exponential backoff
+// until the attempt limit, after which the notification is dead-lettered
+const MAX_SEND_ATTEMPTS = config.sweep.maxAttempts;
+const RETRY_BASE_DELAY_MS = config.sweep.retryBaseMs;
+const RETRY_MAX_DELAY_MS = config.sweep.retryMaxMs;
+const TRANSIENT_ERROR_CODES = new Set([
+  "messaging/internal-error",
+  "messaging/server-unavailable",
+  "messaging/unavailable",
+  "messaging/quota-exceeded",
+  "messaging/message-rate-exceeded",
+  "messaging/device-message-rate-exceeded",
+  "app/network-error",
+  "app/network-timeout",
+]);
+
+// Token cleanup: only these errors mean the registration token is dead
+const DEAD_TOKEN_ERROR_CODES = new Set([
+  "messaging/registration-token-not-registered",
+  "messaging/invalid-registration-token",
+]);
+
+// Stale token pruning: tokens not refreshed via /api/devices for this many
+// days are dropped (at most once per interval, during a sweep)
+const TOKEN_STALE_MS = config.sweep.tokenStaleDays * 24 * 60 * 60000;
+const TOKEN_PRUNE_INTERVAL_MS = 60 * 60000;
+const TOKEN_PRUNE_BATCH_SIZE = 500;
+
+// Throughput: users are processed by this many concurrent workers, and FCM
+// sends are capped at this many messages (one per token) per second
+const SWEEP_CONCURRENCY = config.sweep.concurrency;
+const FCM_SENDS_PER_SECOND = config.sweep.fcmSendsPerSecond;
+
+// Digest mode (opt-in via settings.digest.enabled): minimum number of due
+// notifications before they are collapsed into one push
+const DIGEST_MIN_COUNT = 2;
+
+// Group broadcasts: sendEachForMulticast accepts at most this many tokens
+const FCM_MULTICAST_LIMIT = 500;
+
+// Outcomes that end an occurrence, after which a recurring series is
+// rescheduled (retrying and deferred docs are still on the current one)
+const SERIES_END_STATUSES = new Set(["sent", "failed", "dead_letter"]);
+
+// ============================================
+// NOTIFICATION SYSTEM - Claim / lease
+// ============================================
+
+/**
+ * Queues the final outcome of a claimed notification and the release of
+ * its lease. A recurring series moves on to its next occurrence whatever
+ * the outcome; the failure fields stay on the doc and lastStatus records
+ * how the occurrence ended.
+ */
+function finalizeNotification(notification, fields, writer) {
+  const rescheduleFields = SERIES_END_STATUSES.has(fields.status)
+    ? getRescheduleFields(notification.data, Date.now())
+    : null;
+
+  writer.update(notification.ref, {
+    ...fields,
+    ...(rescheduleFields && { ...rescheduleFields, lastStatus: fields.status }),
+    leaseOwner: admin.firestore.FieldValue.delete(),
+    leaseExpiresAt: admin.firestore.FieldValue.delete(),
+  });
+}
+
+// ============================================
+// NOTIFICATION SYSTEM - Recurrence
+// ============================================
+
+/**
+ * For recurring notifications, the fields that put the doc back on the
+ * schedule at its next occurrence after `after`. Returns null for one-shot
+ * notifications, finished series and invalid rules.
+ */
+function getRescheduleFields(notificationData, after) {
+  if (!notificationData.recurrence) {
+    return null;
+  }
+
+  let next;
+  try {
+    // Deferred occurrences keep the series anchored to the original time
+    next = getNextOccurrence(
+      notificationData.recurrence,
+      notificationData.originalFireAt || notificationData.fireAt,
+      notificationData.occurrenceCount || 1,
+      after,
+    );
+  } catch (error) {
+    logger.error("Invalid recurrence rule", { error });
+    return null;
+  }
+
+  if (!next) {
+    logger.info("Recurring series finished");
+    return null;
+  }
+
+  logger.info("Next occurrence scheduled", {
+    nextFireAt: new Date(next.fireAt).toISOString(),
+  });
+  return {
+    status: "scheduled",
+    fireAt: next.fireAt,
+    occurrenceCount: next.occurrenceCount,
+    originalFireAt: admin.firestore.FieldValue.delete(),
+    late: admin.firestore.FieldValue.delete(),
+    lateByMs: admin.firestore.FieldValue.delete(),
+    retryCount: admin.firestore.FieldValue.delete(),
+    nextAttemptAt: admin.firestore.FieldValue.delete(),
+  };
+}
+
+// ============================================
+// NOTIFICATION SYSTEM - Retry policy
+// ============================================
+
+function isTransientSendError(error) {
+  return TRANSIENT_ERROR_CODES.has(error.code);
+}
+
+/**
+ * FCM reports most errors per token instead of throwing. When no token
+ * accepted the message and every failure was transient, returns the first
+ * error so the send is retried like a thrown one; otherwise null.
+ */
+function getTransientMulticastError(response) {
+  const allTransient =
+    response.successCount === 0 &&
+    response.responses.every(
+      (resp) => !resp.success && isTransientSendError(resp.error),
+    );
+  return allTransient ? response.responses[0].error : null;
+}
+
+/**
+ * Outcome for a failed FCM send. Transient errors are rescheduled with
+ * exponential backoff; permanent errors fail immediately and exhausted
+ * retries are dead-lettered.
+ */
+function getSendFailureOutcome(notification, error, now, extraFields = {}) {
+  const attempts = (notification.data.retryCount || 0) + 1;
+  const transient = isTransientSendError(error);
+
+  if (transient && attempts < MAX_SEND_ATTEMPTS) {
+    const delay = Math.min(
+      RETRY_BASE_DELAY_MS * 2 ** (attempts - 1),
+      RETRY_MAX_DELAY_MS,
+    );
+    logger.warn("Transient send error, retry scheduled", {
+      errorCode: error.code,
+      retry: attempts,
+      maxRetries: MAX_SEND_ATTEMPTS - 1,
+      delayMs: delay,
+    });
+    return {
+      delivered: false,
+      retryScheduled: true,
+      sentCount: 0,
+      error: error.message,
+      fields: {
+        status: "retrying",
+        retryCount: attempts,
+        nextAttemptAt: now + delay,
+        lastError: error.message,
+        lastErrorCode: error.code || null,
+        lastAttemptAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+    };
+  }
+
+  return {
+    delivered: false,
+    sentCount: 0,
+    error: error.message,
+    fields: {
+      status: transient ? "dead_letter" : "failed",
+      retryCount: attempts,
+      error: error.message,
+      errorCode: error.code || null,
+      failedAt: admin.firestore.FieldValue.serverTimestamp(),
+      ...extraFields,
+      ...(transient && {
+        note: `Gave up after ${attempts} attempts`,
+      }),
+    },
+  };
+}
+
+// ============================================
+// NOTIFICATION SYSTEM - Token cleanup
+// ============================================
+
+/**
+ * True if an FCM send error means the token will never work again.
+ * invalid-argument also covers malformed payloads, so it only counts when
+ * FCM blames the registration token itself.
+ */
+function isDeadTokenError(error) {
+  if (!error) {
+    return false;
+  }
+  if (DEAD_TOKEN_ERROR_CODES.has(error.code)) {
+    return true;
+  }
+  return (
+    error.code === "messaging/invalid-argument" &&
+    /registration token/i.test(error.message || "")
+  );
+}
+
+// ============================================
+// NOTIFICATION SYSTEM - Delivery audit log
+// ============================================
+
+/**
+ * Queues one send attempt for the notification's deliveryAttempts
+ * subcollection. A failed audit write is logged but never fails delivery.
+ */
+function recordDeliveryAttempt(notification, attempt, writer) {
+  if (!notification.ref) {
+    return;
+  }
+  writer.create(notification.ref.collection("deliveryAttempts").doc(), {
+    deviceId: notification.data.deviceId || null,
+    retryCount: notification.data.retryCount || 0,
+    instanceId: INSTANCE_ID,
+    ...attempt,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+}
+
+// ============================================
+// NOTIFICATION SYSTEM - Delivery channels
+// ============================================
+
+/**
+ * Outcome for a completed multicast. Only a successful token counts as
+ * delivered (so later channels still get a chance); if none delivers,
+ * deliverThroughChannels records the notification as failed.
+ */
+function getMulticastOutcome(response, extraFields = {}) {
+  return {
+    delivered: response.successCount > 0,
+    sentCount: response.successCount,
+    fields: {
+      status: "sent",
+      sentAt: admin.firestore.FieldValue.serverTimestamp(),
+      ...extraFields,
+      fcmResponse: {
+        successCount: response.successCount,
+        failureCount: response.failureCount,
+      },
+    },
+  };
+}
+
+/**
+ * Doc fields describing where a successful FCM send went
+ */
+function getTargetFields(targets) {
+  if (targets.deviceId) {
+    return { sentToDevice: targets.deviceId };
+  }
+  if (targets.path === "other-devices") {
+    return { note: "Sent to all available devices (no matching device token)" };
+  }
+  return {};
+}
+
+/**
+ * Email and webhook channels from the config (null when unconfigured)
+ */
+function createConfiguredChannels() {
+  return {
+    email: createEmailChannel(config.email),
+    webhook: createWebhookChannel(config.webhook),
+  };
+}
+
+// ============================================
+// NOTIFICATION SYSTEM - Digest
+// ============================================
+
+/**
+ * The digest's stand-in notification (for targeting and the audit log) and
+ * its rendered FCM message. digestRef is null in dry runs.
+ */
+function buildDigest(items, digestRef, now) {
+  const notifications = items.map((item) => item.notification);
+  const digestId = digestRef ? digestRef.id : "dry-run";
+
+  // Quiet-hours decisions are per user, so every item shares the same one
+  const decision = items[0].decision;
+  const locale = items[0].deliveryFields.renderedLocale;
+  const eventNames = notifications
+    .map((n) => n.data.eventName || n.data.title)
+    .filter(Boolean);
+  const content = renderNotificationContent(
+    {
+      type: "digest",
+      variables: {
+        count: items.length,
+        eventNames: eventNames.length > 0 ? eventNames.join(", ") : null,
+      },
+    },
+    { locale, now },
+  );
+
+  // Target the creating device only if every notification shares it
+  const deviceIds = new Set(notifications.map((n) => n.data.deviceId));
+  const notification = {
+    id: digestId,
+    ref: digestRef,
+    data: {
+      deviceId: deviceIds.size === 1 ? [...deviceIds][0] : undefined,
+      retryCount: Math.max(...notifications.map((n) => n.data.retryCount || 0)),
+    },
+  };
+
+  const message = buildFcmMessage({
+    title: content.title,
+    body: content.body,
+    data: {
+      type: "digest",
+      locale: content.locale,
+      id: digestId,
+      notificationIds: notifications.map((n) => n.id).join(","),
+      eventIds: notifications.map((n) => n.data.eventId || "").join(","),
+    },
+    silent: decision.action === "silent",
+  });
+
+  return { notification, message };
+}
+
+/**
+ * FCM message (without tokens) with the platform-specific configuration.
+ * Silent messages drop sound and priority for quiet hours / DND. With
+ * `actions` ({ token, titles }) the push gets snooze/dismiss buttons.
+ */
+function buildFcmMessage({ title, body, data, silent, actions }) {
+  const actionList = actions
+    ? NOTIFICATION_ACTIONS.map((action) => ({
+        action,
+        title: actions.titles[action],
+      }))
+    : null;
+
+  const message = {
+    notification: { title, body },
+    data: {
+      ...data,
+      click_action: "OPEN_CALENDAR",
+      // The apps POST the tapped action with this token to
+      // /api/notifications/:id/action
+      ...(actions && {
+        actions: JSON.stringify(actionList),
+        actionToken: actions.token,
+      }),
+    },
+    // Platform-specific configurations
+    android: {
+      priority: "high",
+      notification: {
+        sound: "default",
+        priority: "high",
+        clickAction: "OPEN_CALENDAR",
+        // FCM has no Android action buttons; the app adds them from
+        // data.actions when it shows the notification
+      },
+    },
+    apns: {
+      payload: {
+        aps: {
+          sound: "default",
+          badge: 1,
+          // The app registers this category's snooze/dismiss actions
+          ...(actions && { category: APNS_ACTION_CATEGORY }),
+        },
+      },
+    },
+    webpush: {
+      headers: {
+        Urgency: "high",
+      },
+      notification: {
+        icon: "/andromeda/android-icon-192x192.png",
+        badge: "/andromeda/android-icon-192x192.png",
+        requireInteraction: true,
+        vibrate: [200, 100, 200],
+        ...(actions && { actions: actionList }),
+      },
+      fcmOptions: {
+        link: "/",
+      },
+    },
+  };
+  return silent ? applySilentDelivery(message) : message;
+}
+
+// ============================================
+// NOTIFICATION SYSTEM - Main Function
+// ============================================
+
+/**
+ * Late-delivery marker for reminders sent after their on-time window
+ */
+function getLateFields(notificationData, now) {
+  const lateByMs = now - notificationData.fireAt;
+  return lateByMs > ON_TIME_WINDOW_MS ? { late: true, lateByMs } : {};
+}
+
+/**
+ * Log fields identifying a notification and the device that created it
+ */
+function getNotificationLogFields(notification) {
+  return {
+    notificationId: notification.id,
+    deviceId: notification.data.deviceId,
+  };
+}
+
+/**
+ * Records how long after its fireAt a notification was actually delivered
+ */
+function observeSendLag(notification) {
+  metrics.sendLag.observe(
+    {},
+    Math.max(0, Date.now() - notification.data.fireAt) / 1000,
+  );
+}
+
+/**
+ * Locale registered with the user's tokens, preferring the creating device
+ */
+function getTokenLocale(tokenDocs, deviceId) {
+  const withLocale = tokenDocs.filter((doc) => doc.data().locale);
+  const deviceDoc = withLocale.find((doc) => doc.data().deviceId === deviceId);
+  return (deviceDoc || withLocale[0])?.data().locale || null;
+}
+
+/**
+ * Sweep window: reach back to the last successful sweep so skipped triggers
+ * are caught up, but never further than the grace period
+ */
+function getSweepWindow(sweepState, now) {
+  const onTimeStart = now - ON_TIME_WINDOW_MS;
+  const graceCutoff = now - CATCHUP_GRACE_MS;
+  const lastSweepAt = sweepState.lastSuccessfulSweepAt || null;
+  const windowStart = Math.max(
+    graceCutoff,
+    Math.min(lastSweepAt || onTimeStart, onTimeStart),
+  );
+  return { windowStart, lastSweepAt, graceCutoff };
+}
+
+/**
+ * Dry-run plan fields identifying a notification
+ */
+function getPlanFields(userId, notification) {
+  return {
+    notificationId: notification.id,
+    userId,
+    source: notification.source,
+    fireAt: notification.data.fireAt,
+    deviceId: notification.data.deviceId || null,
+  };
+}
+
+/**
+ * Dry-run view of getFcmTargets, with tokens redacted
+ */
+function describeFcmTargets(notificationData, settings, tokenDocs) {
+  const policy = resolveTargeting(notificationData, settings);
+  const targets = getFcmTargets(policy, notificationData.deviceId, tokenDocs);
+  return {
+    policy,
+    path: targets.path,
+    tokens: targets.tokens.map(redactToken),
+    fallbackTokens: targets.fallbackTokens.map(redactToken),
+  };
+}
+
+/**
+ * Notifications keyed by the user whose subcollection they live in
+ */
+function groupByUser(notifications) {
+  const notificationsByUser = new Map();
+  for (const notification of notifications) {
+    const userId = notification.ref.path.split("/")[1]; // users/{uid}/...
+    if (!notificationsByUser.has(userId)) {
+      notificationsByUser.set(userId, []);
+    }
+    notificationsByUser.get(userId).push(notification);
+  }
+  return notificationsByUser;
+}
+
+// ============================================
+// NOTIFICATION SYSTEM - Broadcasts
+// ============================================
+
+function getBroadcastGroupId(broadcast) {
+  return broadcast.ref.path.split("/")[1]; // groups/{groupId}/broadcasts/...
+}
+
+/**
+ * Log fields identifying a broadcast and its group
+ */
+function getBroadcastLogFields(broadcast) {
+  return {
+    broadcastId: broadcast.id,
+    groupId: getBroadcastGroupId(broadcast),
+  };
+}
+
+/**
+ * FCM message for a broadcast. Every member gets the same message, so it
+ * is rendered in the broadcast's locale rather than each member's.
+ */
+function buildBroadcastMessage(broadcast, groupId, now) {
+  const data = broadcast.data;
+  const content = renderNotificationContent(data, { locale: data.locale, now });
+  return buildFcmMessage({
+    title: data.title || content.title,
+    body: data.body || content.body,
+    data: {
+      eventId: data.eventId || "",
+      eventName: data.eventName || "",
+      dateKey: data.dateKey || "",
+      type: data.type || DEFAULT_TYPE,
+      locale: content.locale,
+      id: broadcast.id,
+      groupId,
+    },
+    silent: false,
+  });
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let start = 0; start < items.length; start += size) {
+    chunks.push(items.slice(start, start + size));
+  }
+  return chunks;
+}
+
+// ============================================
+// NOTIFICATION SYSTEM - Sweep
+// ============================================
+
+/**
+ * The sweep bound to a Firestore instance (`db`), an FCM client with
+ * sendEachForMulticast (`messaging`) and the non-FCM delivery channels.
+ * Reminders get snooze/dismiss buttons only when `actionTokenSecret` is set.
+ */
+function createNotificationSweep({
+  db,
+  messaging,
+  channels = createConfiguredChannels(),
+  actionTokenSecret = config.secrets.actionToken,
+}) {
+  // Persistent sweep state (watermark of the last successful sweep)
+  const sweepStateRef = db.collection("serviceState").doc("notificationSweep");
+  const fcmRateLimiter = createRateLimiter({
+    ratePerSecond: FCM_SENDS_PER_SECOND,
+  });
+  const deliveryChannels = {
+    fcm: { name: "fcm", send: deliverViaFcm },
+    ...channels,
+  };
+
+  async function getSweepState() {
+    const snapshot = await sweepStateRef.get();
+    return snapshot.exists ? snapshot.data() : {};
+  }
+
+  /**
+   * Advances the watermark once a sweep has completed without throwing
+   */
+  async function recordSuccessfulSweep(sweepAt) {
+    await sweepStateRef.set(
+      {
+        lastSuccessfulSweepAt: sweepAt,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+      { merge: true },
+    );
+    metrics.lastSuccessfulSweep.set({}, sweepAt / 1000);
+  }
+
+  /**
+   * Marks reminders and broadcasts that were never covered by a successful
+   * sweep and are now older than the grace period as expired, so they stop
+   * lingering as scheduled
+   */
+  async function expireStaleNotifications(lastSweepAt, graceCutoff, writer) {
+    if (!lastSweepAt || lastSweepAt >= graceCutoff) {
+      return 0;
+    }
+
+    let expiredCount = 0;
+    for (const collectionId of ["pushNotifications", "broadcasts"]) {
+      const staleSnapshot = await db
+        .collectionGroup(collectionId)
+        .where("fireAt", ">", lastSweepAt)
+        .where("fireAt", "<", graceCutoff)
+        .where("status", "==", "scheduled")
+        .get();
+
+      for (const doc of staleSnapshot.docs) {
+        // Recurring series skip the stale occurrence instead of ending
+        const rescheduleFields = getRescheduleFields(doc.data(), Date.now());
+        writer.update(doc.ref, {
+          ...(rescheduleFields || { status: "expired" }),
+          expiredAt: admin.firestore.FieldValue.serverTimestamp(),
+          note: "Missed by all sweeps within the grace period",
+        });
+      }
+      expiredCount += staleSnapshot.size;
+    }
+
+    if (expiredCount > 0) {
+      logger.info("Expired stale notifications", { count: expiredCount });
+      metrics.notificationsExpired.inc({}, expiredCount);
+    }
+    return expiredCount;
+  }
+
+  /**
+   * Deletes FCM tokens that haven't been refreshed within TOKEN_STALE_MS, so
+   * device-aware targeting only sees devices that are still in use. Tokens
+   * registered before lastSeen existed are left alone.
+   */
+  async function pruneStaleTokens(sweepState, now) {
+    if (now - (sweepState.lastTokenPruneAt || 0) < TOKEN_PRUNE_INTERVAL_MS) {
+      return 0;
+    }
+
+    const staleSnapshot = await db
+      .collectionGroup("fcmTokens")
+      .where("lastSeen", "<", now - TOKEN_STALE_MS)
+      .limit(TOKEN_PRUNE_BATCH_SIZE)
+      .get();
+
+    if (!staleSnapshot.empty) {
+      const batch = db.batch();
+      staleSnapshot.docs.forEach((doc) => batch.delete(doc.ref));
+      await batch.commit();
+      await refreshTokenCounts(
+        db,
+        staleSnapshot.docs.map((doc) => doc.ref.path.split("/")[1]),
+      );
+      logger.info("Pruned stale FCM tokens", { count: staleSnapshot.size });
+      metrics.tokensDeleted.inc({ reason: "stale" }, staleSnapshot.size);
+    }
+
+    await sweepStateRef.set({ lastTokenPruneAt: now }, { merge: true });
+    return staleSnapshot.size;
+  }
+
+  /**
+   * Atomically moves a notification to "sending" under the given lease owner.
+   * Returns the claimed data, or null if another sweep already owns it.
+   */
+  async function claimNotification(ref, leaseOwner, now) {
+    return db.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(ref);
+      if (!snapshot.exists) {
+        return null;
+      }
+
+      // Cancelled and other final statuses are never claimable
+      const data = snapshot.data();
+      const claimable =
+        data.status === "scheduled" ||
+        (data.status === "retrying" && data.nextAttemptAt <= now) ||
+        (data.status === "sending" && data.leaseExpiresAt <= now);
+      if (!claimable) {
+        return null;
+      }
+
+      transaction.update(ref, {
+        status: "sending",
+        leaseOwner: leaseOwner,
+        leaseExpiresAt: now + LEASE_DURATION_MS,
+        claimedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return data;
+    });
+  }
+
+  /**
+   * BulkWriter for one sweep's status and audit writes. Writes are sent when
+   * a batch fills up, on flush() or on close(), so callers queue them
+   * instead of awaiting; a failed write is logged with its document path.
+   */
+  function createSweepWriter() {
+    const bulkWriter = db.bulkWriter();
+    let closePromise = null;
+    const queue = (operation, ref, data) => {
+      bulkWriter[operation](ref, data).catch((error) =>
+        logger.error("Bulk write failed", { path: ref.path, error }),
+      );
+    };
+
+    return {
+      create: (ref, data) => queue("create", ref, data),
+      update: (ref, data) => queue("update", ref, data),
+      flush: () => bulkWriter.flush(),
+      close: () => {
+        closePromise = closePromise || bulkWriter.close();
+        return closePromise;
+      },
+    };
+  }
+
+  /**
+   * Deletes dead tokens from a multicast response and records any other
+   * per-token failure on the token doc (with a failure streak counter).
+   * Tokens that succeed again have their streak reset.
+   */
+  async function handleTokenFailures(
+    userId,
+    targetedTokens,
+    response,
+    tokenDocs,
+  ) {
+    const tokensRef = db
+      .collection("users")
+      .doc(userId)
+      .collection("fcmTokens");
+    const tokenDataById = new Map(tokenDocs.map((doc) => [doc.id, doc.data()]));
+    let deletedCount = 0;
+
+    const writes = response.responses.map((resp, idx) => {
+      const token = targetedTokens[idx];
+
+      if (resp.success) {
+        if (tokenDataById.get(token)?.failureStreak > 0) {
+          return tokensRef.doc(token).update({ failureStreak: 0 });
+        }
+        return null;
+      }
+
+      if (isDeadTokenError(resp.error)) {
+        logger.info("Removing dead token", {
+          token,
+          errorCode: resp.error.code,
+        });
+        metrics.tokensDeleted.inc({ reason: "dead" });
+        deletedCount += 1;
+        return tokensRef.doc(token).delete();
+      }
+
+      logger.warn("Keeping token after send failure", {
+        token,
+        errorCode: resp.error?.code || "unknown",
+      });
+      return tokensRef.doc(token).update({
+        failureStreak: admin.firestore.FieldValue.increment(1),
+        lastFailureCode: resp.error?.code || null,
+        lastFailureMessage: resp.error?.message || null,
+        lastFailureAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+
+    const results = await Promise.allSettled(writes.filter(Boolean));
+    results
+      .filter((result) => result.status === "rejected")
+      .forEach((result) =>
+        logger.error("Error updating token", { error: result.reason }),
+      );
+    if (deletedCount > 0) {
+      await refreshTokenCounts(db, [userId]);
+    }
+  }
+
+  /**
+   * sendEachForMulticast plus an audit record of the tokens targeted (hashed),
+   * how each one fared and which targeting path was taken
+   */
+  async function sendFcmMulticast({
+    notification,
+    message,
+    tokens,
+    tokenDocs,
+    path,
+    writer,
+  }) {
+    await fcmRateLimiter.acquire(tokens.length);
+
+    const attemptedAt = Date.now();
+    let response = null;
+    let failure = null;
+    metrics.fcmTargetPaths.inc({ path });
+
+    try {
+      response = await messaging.sendEachForMulticast({ ...message, tokens });
+      response.responses
+        .filter((resp) => !resp.success)
+        .forEach((resp) =>
+          metrics.fcmErrors.inc({
+            code: resp.error?.code || "unknown",
+            scope: "token",
+          }),
+        );
+      return response;
+    } catch (error) {
+      failure = error;
+      metrics.fcmErrors.inc({
+        code: error.code || "unknown",
+        scope: "request",
+      });
+      throw error;
+    } finally {
+      const deviceIdByToken = new Map(
+        tokenDocs.map((doc) => [doc.id, doc.data().deviceId || null]),
+      );
+      recordDeliveryAttempt(
+        notification,
+        {
+          channel: "fcm",
+          path,
+          attemptedAt,
+          durationMs: Date.now() - attemptedAt,
+          successCount: response ? response.successCount : 0,
+          failureCount: response ? response.failureCount : tokens.length,
+          tokens: tokens.map((token, index) => {
+            const resp = response ? response.responses[index] : null;
+            return {
+              tokenHash: hashToken(token),
+              deviceId: deviceIdByToken.get(token) || null,
+              success: resp ? resp.success : false,
+              errorCode: resp
+                ? resp.error?.code || null
+                : failure?.code || null,
+            };
+          }),
+          error: failure ? failure.message : null,
+          errorCode: failure?.code || null,
+        },
+        writer,
+      );
+    }
+  }
+
+  /**
+   * FCM channel. Tokens are picked by the notification's targeting policy
+   * (see src/targeting.js); single-device policies fall back to the user's
+   * other devices when the send fails permanently.
+   */
+  async function deliverViaFcm({
+    userId,
+    notification,
+    message,
+    tokenDocs,
+    settings,
+    now,
+    writer,
+  }) {
+    const targets = getFcmTargets(
+      resolveTargeting(notification.data, settings),
+      notification.data.deviceId,
+      tokenDocs,
+    );
+    const { path, tokens, fallbackTokens } = targets;
+
+    if (tokens.length === 0) {
+      const note =
+        path === "no-tokens"
+          ? "No FCM tokens available"
+          : "No FCM tokens on the targeted platforms";
+      logger.warn("No FCM tokens to send to", { path });
+      metrics.fcmTargetPaths.inc({ path });
+      recordDeliveryAttempt(
+        notification,
+        {
+          channel: "fcm",
+          path,
+          attemptedAt: Date.now(),
+          durationMs: 0,
+          successCount: 0,
+          failureCount: 0,
+          tokens: [],
+          error: note,
+        },
+        writer,
+      );
+      return {
+        delivered: false,
+        sentCount: 0,
+        error: note,
+        fields: {
+          status: "sent",
+          sentAt: admin.firestore.FieldValue.serverTimestamp(),
+          note,
+        },
+      };
+    }
+
+    logger.info("Sending to targeted devices", {
+      path,
+      tokenCount: tokens.length,
+      fallbackTokenCount: fallbackTokens.length,
+    });
+    try {
+      const response = await sendFcmMulticast({
+        notification,
+        message,
+        tokens,
+        tokenDocs,
+        path,
+        writer,
+      });
+      logger.info("Sent to targeted devices", {
+        path,
+        successCount: response.successCount,
+        failureCount: response.failureCount,
+      });
+      await handleTokenFailures(userId, tokens, response, tokenDocs);
+
+      const transientError = getTransientMulticastError(response);
+      if (transientError) {
+        return getSendFailureOutcome(notification, transientError, now);
+      }
+      return getMulticastOutcome(response, getTargetFields(targets));
+    } catch (error) {
+      logger.error("Error sending to targeted devices", { path, error });
+
+      // Retry transient errors on the same devices, otherwise mark as failed
+      // but try the fallback devices
+      const outcome = getSendFailureOutcome(
+        notification,
+        error,
+        now,
+        targets.deviceId && {
+          note:
+            path === "creating-device"
+              ? "Failed to send to creating device"
+              : "Failed to send to most recent device",
+        },
+      );
+
+      if (!outcome.retryScheduled && fallbackTokens.length > 0) {
+        logger.warn("Falling back to other devices", {
+          otherTokenCount: fallbackTokens.length,
+        });
+        try {
+          const fallbackResponse = await sendFcmMulticast({
+            notification,
+            message,
+            tokens: fallbackTokens,
+            tokenDocs,
+            path: "other-devices-after-failure",
+            writer,
+          });
+          logger.info("Fallback sent to other devices", {
+            successCount: fallbackResponse.successCount,
+            failureCount: fallbackResponse.failureCount,
+          });
+          outcome.delivered = fallbackResponse.successCount > 0;
+          outcome.sentCount = fallbackResponse.successCount;
+        } catch (fallbackError) {
+          logger.error("Fallback to other devices failed", {
+            error: fallbackError,
+          });
+        }
+      }
+      return outcome;
+    }
+  }
+
+  /**
+   * Runs one channel and normalizes its result into an outcome with the doc
+   * fields to record if this channel has the final say
+   */
+  async function deliverViaChannel(channelName, context) {
+    const channel = deliveryChannels[channelName];
+    const attemptedAt = Date.now();
+    let result;
+
+    if (!channel) {
+      result = {
+        delivered: false,
+        error: `Channel ${channelName} is not configured`,
+      };
+    } else {
+      try {
+        result = await channel.send(context);
+      } catch (error) {
+        logger.error("Error delivering via channel", {
+          channel: channelName,
+          error,
+        });
+        result = { delivered: false, error: error.message };
+      }
+    }
+
+    // FCM audits each multicast itself
+    if (channelName !== "fcm") {
+      recordDeliveryAttempt(
+        context.notification,
+        {
+          channel: channelName,
+          attemptedAt,
+          durationMs: Date.now() - attemptedAt,
+          delivered: Boolean(result.delivered),
+          error: result.error || null,
+        },
+        context.writer,
+      );
+    }
+
+    if (result.delivered) {
+      logger.info("Delivered via channel", { channel: channelName });
+    } else {
+      logger.warn("Not delivered via channel", {
+        channel: channelName,
+        reason: result.error || "no recipients",
+      });
+    }
+
+    const outcome = {
+      sentCount: result.delivered ? 1 : 0,
+      fields: result.delivered
+        ? {
+            status: "sent",
+            sentAt: admin.firestore.FieldValue.serverTimestamp(),
+            sentVia: channelName,
+          }
+        : {
+            status: "failed",
+            error: result.error || null,
+            failedAt: admin.firestore.FieldValue.serverTimestamp(),
+          },
+      ...result,
+    };
+
+    // "undelivered": FCM ran but no token accepted the message
+    metrics.sends.inc({
+      channel: channelName,
+      outcome: outcome.delivered
+        ? "delivered"
+        : outcome.fields.status === "sent"
+          ? "undelivered"
+          : outcome.fields.status,
+    });
+    return outcome;
+  }
+
+  /**
+   * Tries each channel until one delivers. A scheduled retry stops the chain,
+   * since the same channel will be tried again later. A fallback channel that
+   * delivered decides the recorded outcome, otherwise the first channel does
+   * (as a failure if it didn't deliver).
+   */
+  async function deliverThroughChannels(channelOrder, context) {
+    const channelResults = [];
+    let primaryOutcome = null;
+    let sentCount = 0;
+
+    for (const channelName of channelOrder) {
+      const outcome = await deliverViaChannel(channelName, context);
+
+      sentCount += outcome.sentCount;
+      channelResults.push({
+        channel: channelName,
+        delivered: outcome.delivered,
+        ...(outcome.error && { error: outcome.error }),
+        ...(outcome.details && { details: outcome.details }),
+      });
+
+      primaryOutcome = primaryOutcome || outcome;
+      if (outcome.delivered) {
+        return { outcome: { ...outcome, sentCount }, channelResults };
+      }
+      if (outcome.retryScheduled) {
+        break;
+      }
+    }
+
+    // FCM reports "sent" once it ran, even with no token to accept the
+    // message; if no channel delivered either, the notification failed
+    const outcome = { ...primaryOutcome, sentCount };
+    if (outcome.fields.status === "sent") {
+      const { sentAt, ...fields } = outcome.fields;
+      outcome.fields = {
+        ...fields,
+        status: "failed",
+        error: outcome.error || "Not delivered by any channel",
+        failedAt: admin.firestore.FieldValue.serverTimestamp(),
+      };
+    }
+    return { outcome, channelResults };
+  }
+
+  /**
+   * Sends one summary push for several due notifications of the same user.
+   * Each underlying doc records the digest's outcome plus its digestId, and
+   * the digest itself is kept at users/{uid}/notificationDigests/{digestId}.
+   */
+  async function sendDigest(items, context) {
+    const { userId, settings, now, writer } = context;
+    const notifications = items.map((item) => item.notification);
+    const digestRef = db
+      .collection("users")
+      .doc(userId)
+      .collection("notificationDigests")
+      .doc();
+
+    logger.info("Sending digest", {
+      digestId: digestRef.id,
+      count: items.length,
+    });
+
+    const { notification: digestNotification, message } = buildDigest(
+      items,
+      digestRef,
+      now,
+    );
+
+    const { outcome, channelResults } = await withLogContext(
+      { digestId: digestRef.id, deviceId: digestNotification.data.deviceId },
+      () =>
+        deliverThroughChannels(resolveChannelOrder({}, settings), {
+          ...context,
+          notification: digestNotification,
+          message,
+        }),
+    );
+
+    writer.create(digestRef, {
+      notificationIds: notifications.map((n) => n.id),
+      count: items.length,
+      status: outcome.fields.status,
+      channelResults,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    for (const { notification, deliveryFields } of items) {
+      if (outcome.delivered) {
+        observeSendLag(notification);
+      }
+      finalizeNotification(
+        notification,
+        {
+          ...outcome.fields,
+          ...deliveryFields,
+          channelResults,
+          digestId: digestRef.id,
+        },
+        writer,
+      );
+    }
+    return outcome.sentCount;
+  }
+
+  /**
+   * Unmuted members' FCM tokens (each tagged with its userId) for a
+   * multicast broadcast, plus member counts for the audit
+   */
+  async function getBroadcastRecipients(groupId, group) {
+    const members = await mapWithConcurrency(
+      group.memberIds || [],
+      SWEEP_CONCURRENCY,
+      async (userId) => {
+        const userRef = db.collection("users").doc(userId);
+        const settingsSnapshot = await userRef
+          .collection("settings")
+          .doc("notifications")
+          .get();
+        if (isGroupMuted(settingsSnapshot.data(), groupId)) {
+          return { userId, muted: true, tokenDocs: [] };
+        }
+        const tokensSnapshot = await userRef.collection("fcmTokens").get();
+        return { userId, muted: false, tokenDocs: tokensSnapshot.docs };
+      },
+    );
+
+    return {
+      memberCount: members.length,
+      mutedCount: members.filter((member) => member.muted).length,
+      tokens: members.flatMap(({ userId, tokenDocs }) =>
+        tokenDocs.map((doc) => ({ userId, doc })),
+      ),
+    };
+  }
+
+  /**
+   * Token cleanup for a multicast chunk that spans several members
+   */
+  async function handleBroadcastTokenFailures(recipients, response) {
+    const byUser = new Map();
+    recipients.forEach(({ userId, doc }, index) => {
+      if (!byUser.has(userId)) {
+        byUser.set(userId, { tokenDocs: [], responses: [] });
+      }
+      byUser.get(userId).tokenDocs.push(doc);
+      byUser.get(userId).responses.push(response.responses[index]);
+    });
+
+    for (const [userId, { tokenDocs, responses }] of byUser) {
+      await handleTokenFailures(
+        userId,
+        tokenDocs.map((doc) => doc.id),
+        { responses },
+        tokenDocs,
+      );
+    }
+  }
+
+  /**
+   * Fans a broadcast out to its recipients in multicast-sized chunks. A
+   * failed chunk is not retried on its own (the other chunks already went
+   * out); the broadcast is only retried when no chunk could be sent.
+   */
+  async function sendGroupMulticast(broadcast, message, recipients, context) {
+    const { now, writer } = context;
+    const fanout = {
+      memberCount: recipients.memberCount,
+      mutedCount: recipients.mutedCount,
+      tokenCount: recipients.tokens.length,
+      successCount: 0,
+      failureCount: 0,
+    };
+    if (recipients.tokens.length === 0) {
+      logger.warn("No member tokens for broadcast", fanout);
+      return {
+        delivered: false,
+        sentCount: 0,
+        fields: {
+          status: "sent",
+          sentAt: admin.firestore.FieldValue.serverTimestamp(),
+          note: "No member tokens available",
+          fanout,
+        },
+      };
+    }
+
+    let firstError = null;
+    for (const batch of chunk(recipients.tokens, FCM_MULTICAST_LIMIT)) {
+      try {
+        const response = await sendFcmMulticast({
+          notification: broadcast,
+          message,
+          tokens: batch.map(({ doc }) => doc.id),
+          tokenDocs: batch.map(({ doc }) => doc),
+          path: "group-multicast",
+          writer,
+        });
+        fanout.successCount += response.successCount;
+        fanout.failureCount += response.failureCount;
+        await handleBroadcastTokenFailures(batch, response);
+        firstError = firstError || getTransientMulticastError(response);
+      } catch (error) {
+        logger.error("Error sending broadcast chunk", {
+          tokenCount: batch.length,
+          error,
+        });
+        fanout.failureCount += batch.length;
+        firstError = firstError || error;
+      }
+    }
+
+    logger.info("Sent broadcast to members", fanout);
+    if (fanout.successCount === 0 && firstError) {
+      return getSendFailureOutcome(broadcast, firstError, now, { fanout });
+    }
+    return {
+      delivered: fanout.successCount > 0,
+      sentCount: fanout.successCount,
+      fields: {
+        status: "sent",
+        sentAt: admin.firestore.FieldValue.serverTimestamp(),
+        fanout,
+      },
+    };
+  }
+
+  /**
+   * One send to the group's FCM topic. Muted members were unsubscribed
+   * when they muted the group, so FCM does the fan-out.
+   */
+  async function sendTopicBroadcast(broadcast, message, groupId, context) {
+    const { now, writer } = context;
+    const topic = topicForGroup(groupId);
+    await fcmRateLimiter.acquire(1);
+    metrics.fcmTargetPaths.inc({ path: "topic" });
+
+    const attemptedAt = Date.now();
+    let messageId = null;
+    let failure = null;
+    try {
+      messageId = await messaging.send({ ...message, topic });
+      logger.info("Sent broadcast to topic", { topic });
+      return {
+        delivered: true,
+        sentCount: 1,
+        fields: {
+          status: "sent",
+          sentAt: admin.firestore.FieldValue.serverTimestamp(),
+          topic,
+        },
+      };
+    } catch (error) {
+      failure = error;
+      metrics.fcmErrors.inc({
+        code: error.code || "unknown",
+        scope: "request",
+      });
+      logger.error("Error sending topic broadcast", { topic, error });
+      return getSendFailureOutcome(broadcast, error, now, { topic });
+    } finally {
+      recordDeliveryAttempt(
+        broadcast,
+        {
+          channel: "fcm",
+          path: "topic",
+          topic,
+          attemptedAt,
+          durationMs: Date.now() - attemptedAt,
+          messageId,
+          error: failure ? failure.message : null,
+          errorCode: failure?.code || null,
+        },
+        writer,
+      );
+    }
+  }
+
+  /**
+   * Sends one claimed broadcast to its group over FCM. Quiet hours are per
+   * user and don't apply; members who don't want broadcasts mute the group.
+   * Returns the number of messages delivered. In a dry run (`plan` given)
+   * the recipients are pushed to the plan instead.
+   */
+  async function sendBroadcast(broadcast, { now, writer, plan }) {
+    const groupId = getBroadcastGroupId(broadcast);
+    const groupSnapshot = await db.collection("groups").doc(groupId).get();
+    const group = groupSnapshot.data();
+    const delivery = group?.delivery === "topic" ? "topic" : "multicast";
+    const message = buildBroadcastMessage(broadcast, groupId, now);
+    const recipients =
+      group && delivery === "multicast"
+        ? await getBroadcastRecipients(groupId, group)
+        : null;
+
+    if (plan) {
+      plan.push({
+        broadcastId: broadcast.id,
+        groupId,
+        source: broadcast.source,
+        fireAt: broadcast.data.fireAt,
+        action: group ? "broadcast" : "fail",
+        delivery,
+        ...(delivery === "topic" && { topic: topicForGroup(groupId) }),
+        ...(recipients && {
+          memberCount: recipients.memberCount,
+          mutedCount: recipients.mutedCount,
+          tokens: recipients.tokens.map(({ doc }) => redactToken(doc.id)),
+        }),
+        message,
+      });
+      return 0;
+    }
+
+    let outcome;
+    if (!group) {
+      logger.warn("Broadcast group not found");
+      outcome = {
+        delivered: false,
+        sentCount: 0,
+        fields: {
+          status: "failed",
+          error: "Group not found",
+          failedAt: admin.firestore.FieldValue.serverTimestamp(),
+        },
+      };
+    } else if (delivery === "topic") {
+      outcome = await sendTopicBroadcast(broadcast, message, groupId, {
+        now,
+        writer,
+      });
+    } else {
+      outcome = await sendGroupMulticast(broadcast, message, recipients, {
+        now,
+        writer,
+      });
+    }
+
+    metrics.broadcasts.inc({
+      delivery,
+      outcome: outcome.delivered ? "delivered" : outcome.fields.status,
+    });
+    if (outcome.delivered) {
+      observeSendLag(broadcast);
+    }
+    finalizeNotification(
+      broadcast,
+      { ...outcome.fields, ...getLateFields(broadcast.data, now), delivery },
+      writer,
+    );
+    return outcome.sentCount;
+  }
+
+  /**
+   * Sends one user's claimed notifications: quiet hours, rendering, then the
+   * digest or each notification's channels. Returns the number sent.
+   * In a dry run (`plan` given) nothing is sent or written; what would have
+   * happened is pushed to the plan instead.
+   */
+  async function processUserNotifications(
+    userId,
+    userNotifications,
+    { now, writer, plan },
+  ) {
+    // Get user's FCM tokens from fcmTokens subcollection
+    const tokensSnapshot = await db
+      .collection("users")
+      .doc(userId)
+      .collection("fcmTokens")
+      .get();
+
+    const tokenDocs = tokensSnapshot.docs; // Keep full docs for deviceId lookup
+
+    logger.info("Processing user", { tokenCount: tokenDocs.length });
+
+    // Quiet hours / do-not-disturb preferences for this user
+    const settingsSnapshot = await db
+      .collection("users")
+      .doc(userId)
+      .collection("settings")
+      .doc("notifications")
+      .get();
+    const notificationSettings = settingsSnapshot.exists
+      ? settingsSnapshot.data()
+      : null;
+
+    // Profile is only needed by some channels, so fetch it lazily
+    let userProfilePromise = null;
+    const getUserProfile = () => {
+      userProfilePromise =
+        userProfilePromise ||
+        db
+          .collection("users")
+          .doc(userId)
+          .get()
+          .then((doc) => doc.data() || {});
+      return userProfilePromise;
+    };
+
+    // Prepare each notification: quiet hours, content and FCM message
+    const sendable = [];
+    for (const notification of userNotifications) {
+      await withLogContext(getNotificationLogFields(notification), async () => {
+        const notificationData = notification.data;
+        const creatingDeviceId = notificationData.deviceId;
+        const lateFields = getLateFields(notificationData, now);
+        const decision = getDeliveryDecision(notificationSettings, now);
+        const deliveryDecision = { ...decision, decidedAt: now };
+
+        if (decision.action === "defer" && plan) {
+          plan.push({
+            ...getPlanFields(userId, notification),
+            action: "defer",
+            deliveryDecision,
+          });
+          return;
+        }
+        if (decision.action === "defer") {
+          logger.info("Deferring notification", {
+            deferUntil: new Date(decision.deferUntil).toISOString(),
+            reason: decision.reason,
+          });
+          metrics.notificationsDeferred.inc({ reason: decision.reason });
+          finalizeNotification(
+            notification,
+            {
+              status: "scheduled",
+              fireAt: decision.deferUntil,
+              originalFireAt:
+                notificationData.originalFireAt || notificationData.fireAt,
+              deliveryDecision,
+            },
+            writer,
+          );
+          return;
+        }
+
+        // Explicit title/body win, otherwise render the type's template in
+        // the recipient's locale (notification, profile, then device token)
+        const locale =
+          notificationData.locale ||
+          (await getUserProfile()).locale ||
+          getTokenLocale(tokenDocs, creatingDeviceId);
+        const content = renderNotificationContent(notificationData, {
+          locale,
+          now,
+        });
+
+        const deliveryFields = {
+          ...lateFields,
+          deliveryDecision,
+          renderedLocale: content.locale,
+        };
+
+        logger.info("Processing notification", {
+          late: Boolean(lateFields.late),
+          lateByMs: lateFields.lateByMs,
+          silent: decision.action === "silent",
+          decisionReason: decision.reason,
+        });
+
+        const message = buildFcmMessage({
+          title: notificationData.title || content.title,
+          body: notificationData.body || content.body,
+          data: {
+            eventId: notificationData.eventId || "",
+            eventName: notificationData.eventName || "",
+            dateKey: notificationData.dateKey || "",
+            type: notificationData.type || DEFAULT_TYPE,
+            locale: content.locale,
+            id: notification.id,
+            late: lateFields.late ? "true" : "false",
+          },
+          silent: decision.action === "silent",
+          actions: actionTokenSecret
+            ? {
+                // A live token in a dry-run plan would let whoever reads
+                // the plan act on the user's reminder
+                token: plan
+                  ? "[redacted]"
+                  : createActionToken(
+                      actionTokenSecret,
+                      { userId, notificationId: notification.id },
+                      Date.now(),
+                    ),
+                titles: renderActionTitles(content.locale, {
+                  minutes: SNOOZE_DEFAULT_MINUTES,
+                }),
+              }
+            : undefined,
+        });
+
+        sendable.push({ notification, message, deliveryFields, decision });
+      });
+    }
+
+    const channelContext = {
+      userId,
+      tokenDocs,
+      settings: notificationSettings,
+      getUserProfile,
+      now,
+      writer,
+    };
+
+    // Opt-in digest: collapse several due reminders into one push
+    const digestSettings = notificationSettings?.digest;
+    const useDigest =
+      digestSettings?.enabled &&
+      sendable.length >= (digestSettings.minCount || DIGEST_MIN_COUNT);
+
+    if (plan && useDigest) {
+      const digest = buildDigest(sendable, null, now);
+      plan.push({
+        userId,
+        action: "digest",
+        notificationIds: sendable.map((item) => item.notification.id),
+        deliveryDecision: sendable[0].deliveryFields.deliveryDecision,
+        channels: resolveChannelOrder({}, notificationSettings),
+        targeting: describeFcmTargets(
+          digest.notification.data,
+          notificationSettings,
+          tokenDocs,
+        ),
+        message: digest.message,
+      });
+      return 0;
+    }
+    if (plan) {
+      for (const { notification, message, deliveryFields } of sendable) {
+        plan.push({
+          ...getPlanFields(userId, notification),
+          action: deliveryFields.deliveryDecision.action,
+          ...deliveryFields,
+          channels: resolveChannelOrder(
+            notification.data,
+            notificationSettings,
+          ),
+          targeting: describeFcmTargets(
+            notification.data,
+            notificationSettings,
+            tokenDocs,
+          ),
+          message,
+        });
+      }
+      return 0;
+    }
+
+    if (useDigest) {
+      return sendDigest(sendable, channelContext);
+    }
+
+    // Send each notification through its channels in order
+    let sentCount = 0;
+    for (const { notification, message, deliveryFields } of sendable) {
+      await withLogContext(getNotificationLogFields(notification), async () => {
+        const { outcome, channelResults } = await deliverThroughChannels(
+          resolveChannelOrder(notification.data, notificationSettings),
+          { ...channelContext, notification, message },
+        );
+        sentCount += outcome.sentCount;
+        if (outcome.delivered) {
+          observeSendLag(notification);
+        }
+
+        finalizeNotification(
+          notification,
+          { ...outcome.fields, ...deliveryFields, channelResults },
+          writer,
+        );
+      });
+    }
+    return sentCount;
+  }
+
+  /**
+   * Docs of a notification collection (pushNotifications or broadcasts) a
+   * sweep should pick up, each labelled with the query that found it: due,
+   * expired_lease or retry
+   */
+  async function findSweepCandidates(collectionId, now, windowStart) {
+    const notifications = db.collectionGroup(collectionId);
+    const queries = {
+      // Use collectionGroup to find ALL due notifications across all users
+      due: notifications
+        .where("fireAt", "<=", now)
+        .where("fireAt", ">=", windowStart)
+        .where("status", "==", "scheduled"),
+      // Recover notifications whose sweep died before finishing them
+      expired_lease: notifications
+        .where("status", "==", "sending")
+        .where("leaseExpiresAt", "<=", now),
+      // Pick up notifications whose retry backoff has elapsed
+      retry: notifications
+        .where("status", "==", "retrying")
+        .where("nextAttemptAt", "<=", now),
+    };
+
+    const candidates = [];
+    const counts = {};
+    for (const [source, query] of Object.entries(queries)) {
+      const snapshot = await query.get();
+      counts[source] = snapshot.size;
+      snapshot.docs.forEach((doc) => candidates.push({ doc, source }));
+    }
+
+    logger.info("Found candidate notifications", {
+      collection: collectionId,
+      ...counts,
+    });
+    if (counts.expired_lease > 0) {
+      logger.warn("Recovering notifications with expired leases", {
+        collection: collectionId,
+        count: counts.expired_lease,
+      });
+    }
+    return candidates;
+  }
+
+  /**
+   * Claims each candidate for this sweep, dropping the ones another sweep
+   * got to first
+   */
+  async function claimCandidates(candidates, leaseOwner, now) {
+    const claims = await mapWithConcurrency(
+      candidates,
+      SWEEP_CONCURRENCY,
+      ({ doc }) => claimNotification(doc.ref, leaseOwner, now),
+    );
+
+    const claimed = [];
+    candidates.forEach(({ doc, source }, index) => {
+      if (!claims[index]) {
+        logger.info("Skipping notification claimed by another sweep", {
+          notificationId: doc.id,
+        });
+        return;
+      }
+      claimed.push({ id: doc.id, ref: doc.ref, data: claims[index], source });
+    });
+    return claimed;
+  }
+
+  /**
+   * Checks for due notifications and sends them via FCM
+   * This is the core function that will be called by cron-job.org.
+   * Every log line of the run carries its sweepId.
+   */
+  function checkAndSendNotifications({
+    sweepId = crypto.randomUUID(),
+    dryRun = false,
+  } = {}) {
+    return withLogContext({ sweepId }, dryRun ? planSweep : runSweep);
+  }
+
+  /**
+   * Dry run of a sweep: the same queries, quiet-hours decisions, rendering
+   * and targeting, without claiming, sending or writing anything. Returns the
+   * plan instead of a sent count.
+   */
+  async function planSweep() {
+    logger.info("Planning dry-run sweep");
+
+    const now = Date.now();
+    const sweepState = await getSweepState();
+    const { windowStart } = getSweepWindow(sweepState, now);
+    const unclaimed = ({ doc, source }) => ({
+      id: doc.id,
+      ref: doc.ref,
+      data: doc.data(),
+      source,
+    });
+    const candidates = await findSweepCandidates(
+      "pushNotifications",
+      now,
+      windowStart,
+    );
+    const broadcasts = await findSweepCandidates(
+      "broadcasts",
+      now,
+      windowStart,
+    );
+    const notificationsByUser = groupByUser(candidates.map(unclaimed));
+
+    const plan = [];
+    await mapWithConcurrency(
+      [...notificationsByUser.entries()],
+      SWEEP_CONCURRENCY,
+      ([userId, userNotifications]) =>
+        withLogContext({ userId }, () =>
+          processUserNotifications(userId, userNotifications, { now, plan }),
+        ),
+    );
+
+    const broadcastPlan = [];
+    await mapWithConcurrency(
+      broadcasts.map(unclaimed),
+      SWEEP_CONCURRENCY,
+      (broadcast) =>
+        withLogContext(getBroadcastLogFields(broadcast), () =>
+          sendBroadcast(broadcast, { now, plan: broadcastPlan }),
+        ),
+    );
+
+    return {
+      window: {
+        start: new Date(windowStart).toISOString(),
+        end: new Date(now).toISOString(),
+      },
+      count: plan.length,
+      notifications: plan,
+      broadcasts: broadcastPlan,
+    };
+  }
+
+  async function runSweep() {
+    logger.info("Checking for due notifications");
+
+    const sweepStartedAt = Date.now();
+    let sweepResult = "error";
+    const writer = createSweepWriter();
+
+    try {
+      const now = Date.now();
+      const sweepState = await getSweepState();
+      const { windowStart, lastSweepAt, graceCutoff } = getSweepWindow(
+        sweepState,
+        now,
+      );
+
+      await expireStaleNotifications(lastSweepAt, graceCutoff, writer);
+      // Housekeeping: a failed prune must not hold up delivery
+      await pruneStaleTokens(sweepState, now).catch((error) =>
+        logger.error("Pruning stale tokens failed", { error }),
+      );
+
+      const candidates = await findSweepCandidates(
+        "pushNotifications",
+        now,
+        windowStart,
+      );
+      const broadcastCandidates = await findSweepCandidates(
+        "broadcasts",
+        now,
+        windowStart,
+      );
+      candidates.forEach(({ source }) =>
+        metrics.notificationsFound.inc({ source }),
+      );
+
+      if (candidates.length === 0 && broadcastCandidates.length === 0) {
+        logger.info("No due notifications found");
+        await writer.close();
+        await recordSuccessfulSweep(now);
+        sweepResult = "success";
+        return 0;
+      }
+
+      // Group by userId for efficient token fetching. Each user's
+      // notifications (and each broadcast) are claimed right before sending
+      // and their outcomes flushed right after, so a lease only has to cover
+      // one user's sends and a crash later in the sweep can't hand already
+      // sent notifications to another sweep.
+      const leaseOwner = `${INSTANCE_ID}:${now}`;
+      const candidatesByUser = groupByUser(
+        candidates.map((candidate) => ({
+          ...candidate,
+          ref: candidate.doc.ref,
+        })),
+      );
+
+      logger.info("Processing candidates", {
+        userCount: candidatesByUser.size,
+        broadcastCount: broadcastCandidates.length,
+      });
+
+      // Process users in parallel; each user's notifications stay in order
+      const sentCounts = await mapWithConcurrency(
+        [...candidatesByUser.entries()],
+        SWEEP_CONCURRENCY,
+        ([userId, userCandidates]) =>
+          withLogContext({ userId }, async () => {
+            const claimed = await claimCandidates(
+              userCandidates,
+              leaseOwner,
+              Date.now(),
+            );
+            if (claimed.length === 0) {
+              return 0;
+            }
+            const sent = await processUserNotifications(userId, claimed, {
+              now,
+              writer,
+            });
+            await writer.flush();
+            return sent;
+          }),
+      );
+
+      // Broadcasts go out after the per-user reminders
+      const broadcastCounts = await mapWithConcurrency(
+        broadcastCandidates,
+        SWEEP_CONCURRENCY,
+        async (candidate) => {
+          const [broadcast] = await claimCandidates(
+            [candidate],
+            leaseOwner,
+            Date.now(),
+          );
+          if (!broadcast) {
+            return 0;
+          }
+          const sent = await withLogContext(
+            getBroadcastLogFields(broadcast),
+            () => sendBroadcast(broadcast, { now, writer }),
+          );
+          await writer.flush();
+          return sent;
+        },
+      );
+      const totalSent = [...sentCounts, ...broadcastCounts].reduce(
+        (sum, count) => sum + count,
+        0,
+      );
+
+      await writer.close();
+      await recordSuccessfulSweep(now);
+      sweepResult = "success";
+
+      logger.info("Sweep finished", {
+        sent: totalSent,
+        durationMs: Date.now() - sweepStartedAt,
+      });
+      return totalSent;
+    } catch (error) {
+      logger.error("Sweep failed", { error });
+      throw error;
+    } finally {
+      // Outcomes queued before a failure still need to be written
+      await writer.close();
+      metrics.sweepDuration.observe(
+        { result: sweepResult },
+        (Date.now() - sweepStartedAt) / 1000,
+      );
+    }
+  }
+
+  return {
+    checkAndSendNotifications,
+  };
+}
+
+module.exports = {
+  createNotificationSweep,
+};
@@ -0,0 +1,134 @@
+// ============================================
+// TARGETING - which of a user's FCM tokens a notification goes to
+// ============================================
+//
+// A notification's `targeting` (falling back to the user's settings) is one
+// of:
+//   "origin-device"       the device that created it, with the user's other
+//                         devices as fallback (the default)
+//   "all"                 every registered device
+//   "most-recent"         the device with the latest lastSeen, with the
+//                         other devices as fallback
+//   { platforms: [...] }  only devices registered on those platforms
+//
+// Platform and lastSeen come from the fcmTokens docs written by
+// /api/devices. Tokens registered before that metadata existed never match
+// a platform filter and count as the least recently seen.
+
+const PLATFORMS = ["android", "ios", "web"];
+const TARGETING_POLICIES = ["origin-device", "all", "most-recent"];
+const DEFAULT_TARGETING = "origin-device";
+
+/**
+ * Returns an error message for an invalid targeting value, or null
+ */
+function validateTargeting(targeting) {
+  if (TARGETING_POLICIES.includes(targeting)) {
+    return null;
+  }
+  const platforms = targeting?.platforms;
+  const valid =
+    typeof targeting === "object" &&
+    !Array.isArray(targeting) &&
+    Object.keys(targeting).length === 1 &&
+    Array.isArray(platforms) &&
+    platforms.length > 0 &&
+    platforms.every((platform) => PLATFORMS.includes(platform));
+  return valid
+    ? null
+    : `targeting must be one of ${TARGETING_POLICIES.join(", ")} ` +
+        `or { platforms: [${PLATFORMS.join(", ")}] }`;
+}
+
+function resolveTargeting(notificationData, settings) {
+  for (const targeting of [notificationData.targeting, settings?.targeting]) {
+    if (targeting !== undefined && validateTargeting(targeting) === null) {
+      return targeting;
+    }
+  }
+  return DEFAULT_TARGETING;
+}
+
+function splitByDevice(tokenDocs, deviceId) {
+  const deviceTokens = [];
+  const otherTokens = [];
+  tokenDocs.forEach((doc) => {
+    if (doc.data().deviceId === deviceId) {
+      deviceTokens.push(doc.id);
+    } else {
+      otherTokens.push(doc.id);
+    }
+  });
+  return { deviceTokens, otherTokens };
+}
+
+/**
+ * Tokens to send to under a targeting policy, as
+ * { path, tokens, fallbackTokens, deviceId? }. `path` names the branch
+ * taken; fallbackTokens are only tried when sending to tokens fails
+ * permanently. deviceId is set when a single device was chosen.
+ */
+function getFcmTargets(targeting, creatingDeviceId, tokenDocs) {
+  const tokens = tokenDocs.map((doc) => doc.id);
+  if (tokens.length === 0) {
+    return { path: "no-tokens", tokens: [], fallbackTokens: [] };
+  }
+
+  if (targeting.platforms) {
+    const matching = tokenDocs
+      .filter((doc) => targeting.platforms.includes(doc.data().platform))
+      .map((doc) => doc.id);
+    return {
+      path: matching.length > 0 ? "platforms" : "no-matching-platform",
+      tokens: matching,
+      fallbackTokens: [],
+    };
+  }
+
+  if (targeting === "most-recent") {
+    const [latest] = [...tokenDocs].sort(
+      (a, b) => (b.data().lastSeen || 0) - (a.data().lastSeen || 0),
+    );
+    const { deviceId } = latest.data();
+    if (!deviceId) {
+      return {
+        path: "most-recent",
+        tokens: [latest.id],
+        fallbackTokens: tokens.filter((token) => token !== latest.id),
+      };
+    }
+    const { deviceTokens, otherTokens } = splitByDevice(tokenDocs, deviceId);
+    return {
+      path: "most-recent",
+      tokens: deviceTokens,
+      fallbackTokens: otherTokens,
+      deviceId,
+    };
+  }
+
+  if (targeting === "all" || !creatingDeviceId) {
+    return { path: "all-devices", tokens, fallbackTokens: [] };
+  }
+
+  // origin-device: the creating device, or every other device if it has
+  // no token
+  const { deviceTokens, otherTokens } = splitByDevice(
+    tokenDocs,
+    creatingDeviceId,
+  );
+  return deviceTokens.length > 0
+    ? {
+        path: "creating-device",
+        tokens: deviceTokens,
+        fallbackTokens: otherTokens,
+        deviceId: creatingDeviceId,
+      }
+    : { path: "other-devices", tokens: otherTokens, fallbackTokens: [] };
+}
+
+module.exports = {
+  PLATFORMS,
+  validateTargeting,
+  resolveTargeting,
+  getFcmTargets,
+};
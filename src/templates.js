@@ -0,0 +1,172 @@
+// ============================================
+// TEMPLATES - localized notification content
+// ============================================
+//
+// Templates are keyed by notification `type`, then locale. Each of title and
+// body is a list of candidates; the first one whose {variables} are all
+// available is used, so the last candidate should need none.
+//
+// Built-in variables:
+//   {eventName}  - notification eventName
+//   {timeUntil}  - relative time until eventStartAt ("in 15 minutes")
+// (the digest template gets {count} and {eventNames} from the sweep)
+// plus anything in the notification's `variables` map.
+
+const DEFAULT_TYPE = "calendar_reminder";
+const DEFAULT_LOCALE = "en";
+
+const TEMPLATES = {
+  calendar_reminder: {
+    en: {
+      title: ["🔔 {eventName}", "🔔 Calendar Reminder"],
+      body: ["Starts {timeUntil}", "You have an upcoming event"],
+    },
+    es: {
+      title: ["🔔 {eventName}", "🔔 Recordatorio de calendario"],
+      body: ["Empieza {timeUntil}", "Tienes un evento próximo"],
+    },
+    fr: {
+      title: ["🔔 {eventName}", "🔔 Rappel d'agenda"],
+      body: ["Commence {timeUntil}", "Vous avez un événement à venir"],
+    },
+    de: {
+      title: ["🔔 {eventName}", "🔔 Kalendererinnerung"],
+      body: ["Beginnt {timeUntil}", "Du hast einen bevorstehenden Termin"],
+    },
+  },
+  digest: {
+    en: {
+      title: ["🔔 {count} events starting soon"],
+      body: ["{eventNames}", "Open your calendar to see them"],
+    },
+    es: {
+      title: ["🔔 {count} eventos empiezan pronto"],
+      body: ["{eventNames}", "Abre tu calendario para verlos"],
+    },
+    fr: {
+      title: ["🔔 {count} événements commencent bientôt"],
+      body: ["{eventNames}", "Ouvrez votre agenda pour les voir"],
+    },
+    de: {
+      title: ["🔔 {count} Termine beginnen bald"],
+      body: ["{eventNames}", "Öffne deinen Kalender, um sie zu sehen"],
+    },
+  },
+};
+
+// Snooze/dismiss button labels ({minutes} is the snooze length)
+const ACTION_TITLES = {
+  en: { snooze: "Snooze {minutes} min", dismiss: "Dismiss" },
+  es: { snooze: "Posponer {minutes} min", dismiss: "Descartar" },
+  fr: { snooze: "Reporter de {minutes} min", dismiss: "Ignorer" },
+  de: { snooze: "{minutes} Min. später", dismiss: "Verwerfen" },
+};
+
+// Types only the sweep renders (their templates need sweep-provided
+// variables such as {count}), so clients can't create them
+const INTERNAL_TYPES = new Set(["digest"]);
+
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+/**
+ * True if clients may create notifications of this type
+ */
+function hasTemplate(type) {
+  return (
+    Object.prototype.hasOwnProperty.call(TEMPLATES, type) &&
+    !INTERNAL_TYPES.has(type)
+  );
+}
+
+/**
+ * Best available locale for a template: exact match, then the base
+ * language ("es-MX" -> "es"), then the default
+ */
+function matchLocale(templates, locale) {
+  if (locale && templates[locale]) {
+    return locale;
+  }
+  const language = (locale || "").split("-")[0].toLowerCase();
+  return templates[language] ? language : DEFAULT_LOCALE;
+}
+
+/**
+ * "in 15 minutes", "in 2 hours", "tomorrow"... in the given locale
+ */
+function formatTimeUntil(eventStartAt, now, locale) {
+  const minutes = Math.round((eventStartAt - now) / 60000);
+  const formatter = new Intl.RelativeTimeFormat(locale, { numeric: "auto" });
+
+  if (Math.abs(minutes) < 60) {
+    return formatter.format(minutes, "minute");
+  }
+  if (Math.abs(minutes) < 24 * 60) {
+    return formatter.format(Math.round(minutes / 60), "hour");
+  }
+  return formatter.format(Math.round(minutes / (24 * 60)), "day");
+}
+
+function renderCandidates(candidates, variables) {
+  for (const candidate of candidates) {
+    const names = [...candidate.matchAll(PLACEHOLDER)].map((match) => match[1]);
+    if (names.every((name) => variables[name] !== undefined)) {
+      return candidate.replace(PLACEHOLDER, (_, name) => variables[name]);
+    }
+  }
+  return "";
+}
+
+/**
+ * Renders a notification's title and body from its type's template.
+ * Unknown types use the default template.
+ *
+ * @returns {{title: string, body: string, locale: string}}
+ */
+function renderNotificationContent(notificationData, { locale, now }) {
+  const templates = TEMPLATES[notificationData.type] || TEMPLATES[DEFAULT_TYPE];
+  const matchedLocale = matchLocale(templates, locale);
+  const template = templates[matchedLocale];
+
+  const variables = {};
+  for (const [name, value] of Object.entries(
+    notificationData.variables || {},
+  )) {
+    if (value !== null && value !== undefined && value !== "") {
+      variables[name] = String(value);
+    }
+  }
+  if (notificationData.eventName) {
+    variables.eventName = notificationData.eventName;
+  }
+  if (Number.isFinite(notificationData.eventStartAt)) {
+    variables.timeUntil = formatTimeUntil(
+      notificationData.eventStartAt,
+      now,
+      matchedLocale,
+    );
+  }
+
+  return {
+    title: renderCandidates(template.title, variables),
+    body: renderCandidates(template.body, variables),
+    locale: matchedLocale,
+  };
+}
+
+/**
+ * Localized labels for the action buttons, keyed by action
+ */
+function renderActionTitles(locale, { minutes }) {
+  const titles = ACTION_TITLES[matchLocale(ACTION_TITLES, locale)];
+  return {
+    snooze: renderCandidates([titles.snooze], { minutes: String(minutes) }),
+    dismiss: titles.dismiss,
+  };
+}
+
+module.exports = {
+  DEFAULT_TYPE,
+  hasTemplate,
+  renderNotificationContent,
+  renderActionTitles,
+};
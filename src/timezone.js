@@ -0,0 +1,75 @@
+// ============================================
+// TIMEZONE - wall-clock helpers built on Intl
+// ============================================
+
+const DAY_MS = 86400000;
+
+const formatterCache = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      }),
+    );
+  }
+  return formatterCache.get(timeZone);
+}
+
+/**
+ * Wall-clock parts of a UTC instant in the given timezone
+ */
+function getZonedParts(ms, timeZone) {
+  const parts = {};
+  for (const part of getFormatter(timeZone).formatToParts(new Date(ms))) {
+    if (part.type !== "literal") {
+      parts[part.type] = parseInt(part.value, 10);
+    }
+  }
+  return parts;
+}
+
+/**
+ * UTC instant for a wall-clock time in the given timezone
+ */
+function zonedTimeToUtc(local, timeZone) {
+  const asUtc = Date.UTC(
+    local.year,
+    local.month - 1,
+    local.day,
+    local.hour,
+    local.minute,
+    local.second,
+  );
+  const offsetAt = (ms) => {
+    const p = getZonedParts(ms, timeZone);
+    const zoned = Date.UTC(
+      p.year,
+      p.month - 1,
+      p.day,
+      p.hour,
+      p.minute,
+      p.second,
+    );
+    return zoned - Math.floor(ms / 1000) * 1000;
+  };
+
+  // Second pass corrects guesses that land on the other side of a DST change
+  const firstGuess = asUtc - offsetAt(asUtc);
+  return asUtc - offsetAt(firstGuess);
+}
+
+module.exports = {
+  DAY_MS,
+  getZonedParts,
+  zonedTimeToUtc,
+};
@@ -0,0 +1,38 @@
+// ============================================
+// TOKEN COUNTS - per-user device count for the admin stats
+// ============================================
+//
+// users/{uid}.fcmTokenCount is recounted (one count() aggregation) whenever
+// the user's tokens are added or removed, so the admin stats can find users
+// without tokens with one query instead of scanning every user. A recount
+// rather than an increment, so a lost or doubled write can't leave it wrong
+// for good. Users who never registered a device have no count.
+
+const admin = require("firebase-admin");
+const { logger } = require("./logger");
+
+/**
+ * Recounts the given users' tokens. Best effort: a failure is logged and
+ * fixed by the user's next token change.
+ */
+async function refreshTokenCounts(db, userIds) {
+  for (const userId of new Set(userIds)) {
+    try {
+      const userRef = db.collection("users").doc(userId);
+      const snapshot = await userRef.collection("fcmTokens").count().get();
+      await userRef.set(
+        {
+          fcmTokenCount: snapshot.data().count,
+          fcmTokenCountUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        },
+        { merge: true },
+      );
+    } catch (error) {
+      logger.error("Refreshing token count failed", { userId, error });
+    }
+  }
+}
+
+module.exports = {
+  refreshTokenCounts,
+};
@@ -0,0 +1,589 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createApp } = require("../src/app");
+const { createNotificationSweep } = require("../src/sweep");
+const { createActionToken } = require("../src/actions");
+const { createRetentionCleanup } = require("../src/retention");
+const { parseConfig } = require("../src/config");
+const { createDrainTracker } = require("../src/health");
+const { createFakeFirestore } = require("./fakes/firestore");
+const { createFakeMessaging } = require("./fakes/messaging");
+
+const CRON_SECRET = "test-cron-secret";
+const DAY_MS = 24 * 60 * 60000;
+const ACTION_TOKEN_SECRET = "test-action-secret";
+const CLEANUP_SECRET = "test-cleanup-secret";
+const ADMIN_API_KEY = "test-admin-key";
+
+// ID tokens are "uid:<uid>"; anything else is rejected
+const fakeAuth = {
+  verifyIdToken: async (token) => {
+    if (!token.startsWith("uid:")) {
+      throw Object.assign(new Error("bad token"), {
+        code: "auth/argument-error",
+      });
+    }
+    return { uid: token.slice(4) };
+  },
+};
+
+/**
+ * Starts the app on a free port against fresh fakes, configured from `env`
+ */
+async function startApp(env = {}, options = {}) {
+  const { config } = parseConfig({ LOG_LEVEL: "silent", ...env });
+  const db = createFakeFirestore();
+  const messaging = createFakeMessaging();
+  const sweep = createNotificationSweep({ db, messaging, channels: {} });
+  const cleanup = createRetentionCleanup({ db, retentionDays: 30 });
+  const app = createApp({
+    db,
+    auth: fakeAuth,
+    messaging,
+    sweep,
+    cleanup,
+    config,
+    ...options,
+  });
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(path, { method = "GET", headers = {}, body } = {}) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(body && { "Content-Type": "application/json" }),
+        ...headers,
+      },
+      body: body && JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  return {
+    db,
+    messaging,
+    request,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+describe("HTTP app", () => {
+  let db;
+  let messaging;
+  let request;
+  let close;
+
+  before(async () => {
+    ({ db, messaging, request, close } = await startApp({
+      CRON_SECRET,
+      ACTION_TOKEN_SECRET,
+      CLEANUP_SECRET,
+      ADMIN_API_KEY,
+    }));
+  });
+
+  after(() => close());
+
+  const asUser = (uid) => ({ Authorization: `Bearer uid:${uid}` });
+
+  it("rejects the trigger without the cron secret", async () => {
+    const { status } = await request("/trigger-notifications");
+    assert.equal(status, 401);
+  });
+
+  it("creates a notification through the API and sends it on trigger", async () => {
+    await db.doc("users/u1/fcmTokens/token-a").set({ deviceId: "d1" });
+
+    const created = await request("/api/users/u1/notifications", {
+      method: "POST",
+      headers: asUser("u1"),
+      body: { fireAt: Date.now() - 1000, title: "Hi", deviceId: "d1" },
+    });
+    assert.equal(created.status, 201);
+    const { id } = created.body.notification;
+
+    const triggered = await request("/trigger-notifications", {
+      headers: { "X-Cron-Secret": CRON_SECRET },
+    });
+    assert.equal(triggered.status, 200);
+    assert.equal(triggered.body.sent, 1);
+    assert.equal(messaging.requests[0].notification.title, "Hi");
+
+    const deliveries = await request(
+      `/api/users/u1/notifications/${id}/deliveries`,
+      { headers: asUser("u1") },
+    );
+    assert.equal(deliveries.body.count, 1);
+    assert.equal(deliveries.body.deliveries[0].path, "creating-device");
+  });
+
+  it("lists the newest delivery attempts first", async () => {
+    const ref = db.doc("users/u1/pushNotifications/daily");
+    await ref.set({ status: "scheduled", fireAt: Date.now() + DAY_MS });
+    for (let i = 0; i < 205; i++) {
+      await ref
+        .collection("deliveryAttempts")
+        .doc(`a${i}`)
+        .set({ channel: "fcm", attemptedAt: 1000 + i });
+    }
+
+    const { body } = await request(
+      "/api/users/u1/notifications/daily/deliveries",
+      { headers: asUser("u1") },
+    );
+
+    assert.equal(body.count, 200);
+    assert.equal(body.deliveries[0].id, "a204");
+    assert.equal(body.deliveries[199].id, "a5");
+  });
+
+  it("returns the plan for a dry-run trigger to admins only", async () => {
+    const anonymous = await request("/trigger-notifications?dryRun=true", {
+      headers: { "X-Cron-Secret": CRON_SECRET },
+    });
+    assert.equal(anonymous.status, 401);
+
+    const { body } = await request("/trigger-notifications?dryRun=true", {
+      headers: { "X-Cron-Secret": CRON_SECRET, "X-Admin-Key": ADMIN_API_KEY },
+    });
+    assert.equal(body.dryRun, true);
+    assert.equal(body.plan.count, 0);
+  });
+
+  it("validates targeting on create", async () => {
+    const { status, body } = await request("/api/users/u1/notifications", {
+      method: "POST",
+      headers: asUser("u1"),
+      body: { fireAt: Date.now(), targeting: { platforms: ["tv"] } },
+    });
+    assert.equal(status, 400);
+    assert.match(body.details[0], /^targeting must be one of/);
+  });
+
+  it("rejects internal notification types", async () => {
+    const { status, body } = await request("/api/users/u1/notifications", {
+      method: "POST",
+      headers: asUser("u1"),
+      body: { fireAt: Date.now(), type: "digest" },
+    });
+    assert.equal(status, 400);
+    assert.deepEqual(body.details, ["type has no template: digest"]);
+  });
+
+  it("rejects a fireAt older than the grace period", async () => {
+    const { status, body } = await request("/api/users/u1/notifications", {
+      method: "POST",
+      headers: asUser("u1"),
+      body: { fireAt: Date.now() - 60 * 60000, title: "Hi" },
+    });
+    assert.equal(status, 400);
+    assert.match(body.details[0], /^fireAt must not be more than/);
+  });
+
+  it("sends a past-dated notification created after a sweep", async () => {
+    const trigger = () =>
+      request("/trigger-notifications", {
+        headers: { "X-Cron-Secret": CRON_SECRET },
+      });
+    await trigger();
+    const createdAt = Date.now();
+
+    const created = await request("/api/users/u1/notifications", {
+      method: "POST",
+      headers: asUser("u1"),
+      body: { fireAt: createdAt - 5 * 60000, title: "Late" },
+    });
+    const { id, fireAt } = created.body.notification;
+    assert.ok(fireAt >= createdAt);
+    await trigger();
+
+    const data = (
+      await db.doc(`users/u1/pushNotifications/${id}`).get()
+    ).data();
+    assert.equal(data.status, "sent");
+  });
+
+  it("puts a retrying notification back on schedule when fireAt moves", async () => {
+    await db.doc("users/u1/pushNotifications/retrying").set({
+      status: "retrying",
+      fireAt: Date.now() - 60000,
+      originalFireAt: Date.now() - 120000,
+      retryCount: 2,
+      nextAttemptAt: Date.now() + 60000,
+    });
+    const fireAt = Date.now() + DAY_MS;
+
+    const { status, body } = await request(
+      "/api/users/u1/notifications/retrying",
+      { method: "PATCH", headers: asUser("u1"), body: { fireAt } },
+    );
+
+    assert.equal(status, 200);
+    const { notification } = body;
+    assert.equal(notification.status, "scheduled");
+    assert.equal(notification.fireAt, fireAt);
+    assert.equal(notification.retryCount, undefined);
+    assert.equal(notification.nextAttemptAt, undefined);
+    assert.equal(notification.originalFireAt, undefined);
+  });
+
+  it("forbids other users' notifications", async () => {
+    const { status } = await request("/api/users/u1/notifications", {
+      headers: asUser("u2"),
+    });
+    assert.equal(status, 403);
+  });
+
+  describe("groups", () => {
+    before(() =>
+      db.doc("groups/team").set({ memberIds: ["u1", "u2"], delivery: "topic" }),
+    );
+
+    it("lets members schedule and list broadcasts", async () => {
+      const created = await request("/api/groups/team/broadcasts", {
+        method: "POST",
+        headers: asUser("u1"),
+        body: { fireAt: Date.now() + 60000, title: "Standup moved" },
+      });
+      assert.equal(created.status, 201);
+      assert.equal(created.body.broadcast.status, "scheduled");
+      assert.equal(created.body.broadcast.createdBy, "u1");
+
+      const listed = await request("/api/groups/team/broadcasts", {
+        headers: asUser("u2"),
+      });
+      assert.equal(listed.body.count, 1);
+    });
+
+    it("rejects per-user fields on broadcasts", async () => {
+      const { status, body } = await request("/api/groups/team/broadcasts", {
+        method: "POST",
+        headers: asUser("u1"),
+        body: { fireAt: Date.now(), deviceId: "d1" },
+      });
+      assert.equal(status, 400);
+      assert.deepEqual(body.details, ["Unknown field: deviceId"]);
+    });
+
+    it("forbids non-members and 404s unknown groups", async () => {
+      const forbidden = await request("/api/groups/team/broadcasts", {
+        headers: asUser("u3"),
+      });
+      assert.equal(forbidden.status, 403);
+      const missing = await request("/api/groups/nope/broadcasts", {
+        headers: asUser("u1"),
+      });
+      assert.equal(missing.status, 404);
+    });
+
+    it("subscribes registered devices to topic groups until muted", async () => {
+      const registered = await request("/api/devices", {
+        method: "POST",
+        headers: asUser("u2"),
+        body: { token: "token-u2", deviceId: "phone", platform: "ios" },
+      });
+      assert.ok(registered.status < 300);
+      assert.ok(messaging.topics.get("group-team").has("token-u2"));
+      const user = await db.doc("users/u2").get();
+      assert.equal(user.data().fcmTokenCount, 1);
+
+      const muted = await request("/api/groups/team/mute", {
+        method: "PUT",
+        headers: asUser("u2"),
+      });
+      assert.equal(muted.body.muted, true);
+      assert.ok(!messaging.topics.get("group-team").has("token-u2"));
+      const settings = await db.doc("users/u2/settings/notifications").get();
+      assert.deepEqual(settings.data().mutedGroups, ["team"]);
+
+      await request("/api/groups/team/mute", {
+        method: "DELETE",
+        headers: asUser("u2"),
+      });
+      assert.ok(messaging.topics.get("group-team").has("token-u2"));
+
+      await request("/api/devices/phone", {
+        method: "DELETE",
+        headers: asUser("u2"),
+      });
+      assert.ok(!messaging.topics.get("group-team").has("token-u2"));
+      const removed = await db.doc("users/u2").get();
+      assert.equal(removed.data().fcmTokenCount, 0);
+    });
+  });
+
+  describe("notification actions", () => {
+    const tokenFor = (id, issuedAt = Date.now()) =>
+      createActionToken(
+        ACTION_TOKEN_SECRET,
+        { userId: "u5", notificationId: id },
+        issuedAt,
+      );
+    const act = (id, body) =>
+      request(`/api/notifications/${id}/action`, { method: "POST", body });
+
+    it("snoozes a sent reminder once per push", async () => {
+      await db
+        .doc("users/u5/pushNotifications/n1")
+        .set({ status: "sent", fireAt: Date.now() - 60000, title: "Hi" });
+      const token = tokenFor("n1");
+
+      const snoozed = await act("n1", { action: "snooze", token });
+      assert.equal(snoozed.status, 200);
+      const data = (await db.doc("users/u5/pushNotifications/n1").get()).data();
+      assert.equal(data.status, "scheduled");
+      assert.equal(data.fireAt, snoozed.body.fireAt);
+      assert.ok(data.fireAt - Date.now() > 9 * 60000);
+      assert.equal(data.snoozeCount, 1);
+
+      const replayed = await act("n1", { action: "snooze", token });
+      assert.equal(replayed.status, 409);
+    });
+
+    it("snoozes a recurring reminder as a one-off copy", async () => {
+      await db.doc("users/u5/pushNotifications/n2").set({
+        status: "scheduled",
+        fireAt: Date.now() + DAY_MS,
+        title: "Standup",
+        recurrence: { rrule: "FREQ=DAILY", timezone: "UTC" },
+      });
+
+      const { body } = await act("n2", {
+        action: "snooze",
+        token: tokenFor("n2"),
+        minutes: 5,
+      });
+
+      assert.notEqual(body.notificationId, "n2");
+      const copy = (
+        await db.doc(`users/u5/pushNotifications/${body.notificationId}`).get()
+      ).data();
+      assert.equal(copy.title, "Standup");
+      assert.equal(copy.recurrence, undefined);
+      assert.equal(copy.snoozedFrom, "n2");
+      const series = (
+        await db.doc("users/u5/pushNotifications/n2").get()
+      ).data();
+      assert.ok(series.fireAt > Date.now() + DAY_MS - 60000);
+    });
+
+    it("records a dismissal", async () => {
+      await db.doc("users/u5/pushNotifications/n3").set({ status: "sent" });
+
+      const { status } = await act("n3", {
+        action: "dismiss",
+        token: tokenFor("n3"),
+      });
+
+      assert.equal(status, 200);
+      const data = (await db.doc("users/u5/pushNotifications/n3").get()).data();
+      assert.equal(data.status, "sent");
+      assert.equal(data.lastAction.action, "dismiss");
+      assert.ok(data.dismissedAt);
+    });
+
+    it("rejects tokens for another notification or past their expiry", async () => {
+      const wrongNotification = await act("n3", {
+        action: "dismiss",
+        token: tokenFor("n1"),
+      });
+      assert.equal(wrongNotification.status, 401);
+
+      const expired = await act("n3", {
+        action: "dismiss",
+        token: tokenFor("n3", Date.now() - 8 * DAY_MS),
+      });
+      assert.equal(expired.status, 401);
+    });
+  });
+
+  it("runs the retention cleanup only with its own secret", async () => {
+    await db
+      .doc("users/u6/pushNotifications/old")
+      .set({ status: "sent", fireAt: Date.now() - 60 * DAY_MS });
+
+    const withCronSecret = await request("/cleanup-notifications", {
+      method: "POST",
+      headers: { "X-Cleanup-Secret": CRON_SECRET },
+    });
+    assert.equal(withCronSecret.status, 401);
+
+    const preview = await request("/cleanup-notifications?dryRun=true", {
+      method: "POST",
+      headers: { "X-Cleanup-Secret": CLEANUP_SECRET },
+    });
+    assert.equal(preview.body.dryRun, true);
+    assert.equal(preview.body.removed, 1);
+
+    const { body } = await request("/cleanup-notifications", {
+      method: "POST",
+      headers: { "X-Cleanup-Secret": CLEANUP_SECRET },
+    });
+    assert.equal(body.success, true);
+    assert.equal(body.removed, 1);
+    assert.equal(
+      (await db.doc("users/u6/pushNotifications/old").get()).exists,
+      false,
+    );
+  });
+
+  it("answers the liveness and readiness probes", async () => {
+    const live = await request("/healthz");
+    assert.deepEqual(live.body, { status: "ok" });
+
+    const ready = await request("/readyz");
+    assert.equal(ready.status, 200);
+    assert.equal(ready.body.status, "ready");
+  });
+
+  it("reports the scheduler as disabled in the health check", async () => {
+    const { body } = await request("/");
+    assert.equal(body.status, "ok");
+    assert.deepEqual(body.scheduler, { enabled: false });
+  });
+});
+
+describe("admin API", () => {
+  const asAdmin = { "X-Admin-Key": ADMIN_API_KEY };
+  let db;
+  let request;
+  let close;
+
+  before(async () => {
+    ({ db, request, close } = await startApp({ ADMIN_API_KEY }));
+
+    const now = Date.now();
+    const seed = [
+      ["a1", "n1", { status: "sent", fireAt: now - 3000, eventId: "e1" }],
+      ["a1", "n2", { status: "sent", fireAt: now - 2000, eventId: "e2" }],
+      ["a1", "n3", { status: "failed", fireAt: now - 1000, eventId: "e1" }],
+      ["a2", "n4", { status: "scheduled", fireAt: now + DAY_MS }],
+      ["a2", "n5", { status: "expired", fireAt: now - 2 * DAY_MS }],
+      ["a2", "n6", { status: "dead_letter", fireAt: now - 500 }],
+    ];
+    for (const [userId, id, fields] of seed) {
+      await db.doc(`users/${userId}/pushNotifications/${id}`).set(fields);
+    }
+    await db.doc("users/a1/fcmTokens/token-a").set({ deviceId: "d1" });
+    await db.doc("users/a1").set({ fcmTokenCount: 1 });
+    await db.doc("users/a2").set({ fcmTokenCount: 0 });
+  });
+
+  after(() => close());
+
+  it("requires admin access", async () => {
+    const { status } = await request("/api/admin/stats", {
+      headers: { Authorization: "Bearer uid:a1" },
+    });
+    assert.equal(status, 403);
+  });
+
+  it("pages through notifications with a cursor", async () => {
+    const first = await request("/api/admin/notifications?limit=2", {
+      headers: asAdmin,
+    });
+    assert.deepEqual(
+      first.body.notifications.map((n) => n.id),
+      ["n5", "n1"],
+    );
+    assert.ok(first.body.nextCursor);
+
+    const rest = await request(
+      `/api/admin/notifications?limit=2&cursor=${first.body.nextCursor}`,
+      { headers: asAdmin },
+    );
+    assert.deepEqual(
+      rest.body.notifications.map((n) => n.id),
+      ["n2", "n3"],
+    );
+    const last = await request(
+      `/api/admin/notifications?limit=2&cursor=${rest.body.nextCursor}`,
+      { headers: asAdmin },
+    );
+    assert.deepEqual(
+      last.body.notifications.map((n) => n.id),
+      ["n6", "n4"],
+    );
+    assert.equal(last.body.nextCursor, null);
+  });
+
+  it("filters by user, status, eventId and fireAt range", async () => {
+    const byEvent = await request(
+      "/api/admin/notifications?userId=a1&eventId=e1&status=sent",
+      { headers: asAdmin },
+    );
+    assert.deepEqual(
+      byEvent.body.notifications.map((n) => [n.userId, n.id]),
+      [["a1", "n1"]],
+    );
+
+    const from = new Date(Date.now() - DAY_MS).toISOString();
+    const byRange = await request(
+      `/api/admin/notifications?from=${from}&to=${Date.now()}`,
+      { headers: asAdmin },
+    );
+    assert.equal(byRange.body.count, 4);
+
+    const deadLettered = await request(
+      "/api/admin/notifications?status=dead_letter",
+      { headers: asAdmin },
+    );
+    assert.deepEqual(
+      deadLettered.body.notifications.map((n) => n.id),
+      ["n6"],
+    );
+
+    const invalid = await request("/api/admin/notifications?status=lost", {
+      headers: asAdmin,
+    });
+    assert.equal(invalid.status, 400);
+  });
+
+  it("aggregates counts, success rate and users without tokens", async () => {
+    const { body } = await request("/api/admin/stats?days=3", {
+      headers: asAdmin,
+    });
+
+    assert.equal(body.byStatus.sent, 2);
+    assert.equal(body.byStatus.scheduled, 1);
+    assert.equal(body.byDay.length, 3);
+    assert.equal(body.byStatus.dead_letter, 1);
+    assert.equal(body.byDay[2].count, 4);
+    assert.equal(body.byDay[0].count, 1);
+    assert.deepEqual(body.delivery, {
+      sent: 2,
+      failed: 1,
+      deadLetter: 1,
+      expired: 1,
+      successRate: 0.4,
+    });
+    assert.deepEqual(body.usersWithoutTokens, {
+      count: 1,
+      registeredUsers: 2,
+      userIds: ["a2"],
+    });
+  });
+});
+
+describe("shutdown", () => {
+  it("fails readiness and turns triggers away while draining", async () => {
+    const drainTracker = createDrainTracker();
+    const { request, close } = await startApp({}, { drainTracker });
+
+    try {
+      await drainTracker.drain(1000);
+
+      const ready = await request("/readyz");
+      assert.equal(ready.status, 503);
+      assert.equal(ready.body.status, "draining");
+      const trigger = await request("/trigger-notifications");
+      assert.equal(trigger.status, 503);
+    } finally {
+      await close();
+    }
+  });
+});
@@ -0,0 +1,17 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createRateLimiter } = require("../src/concurrency");
+
+describe("rate limiter", () => {
+  it("charges requests larger than the bucket in full", async () => {
+    const limiter = createRateLimiter({ ratePerSecond: 100 });
+    const startedAt = Date.now();
+
+    await limiter.acquire(150);
+    assert.ok(Date.now() - startedAt < 100);
+
+    // 50 units of debt plus the next unit: about 510ms at 100/s
+    await limiter.acquire(1);
+    assert.ok(Date.now() - startedAt >= 450);
+  });
+});
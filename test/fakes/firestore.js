@@ -0,0 +1,484 @@
+// ============================================
+// FAKE FIRESTORE - in-memory stand-in for admin.firestore()
+// ============================================
+//
+// Covers the part of the Admin SDK the service uses: document and
+// collection refs, where/orderBy/startAfter/limit and count() queries (on
+// collections and collection groups), transactions, batches and
+// BulkWriter, and the
+// serverTimestamp/delete/increment/arrayUnion/arrayRemove transforms.
+// Documents live in one Map keyed by their full path.
+
+const crypto = require("crypto");
+const admin = require("firebase-admin");
+
+const { FieldValue, Timestamp } = admin.firestore;
+
+// gRPC status codes used by the real client
+const NOT_FOUND = 5;
+const ALREADY_EXISTS = 6;
+
+function firestoreError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+function autoId() {
+  const chars =
+    "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+  return Array.from(
+    crypto.randomBytes(20),
+    (byte) => chars[byte % chars.length],
+  ).join("");
+}
+
+function isPlainObject(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    Object.getPrototypeOf(value) === Object.prototype
+  );
+}
+
+// Timestamps are immutable, so only arrays and maps need copying
+function clone(value) {
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, field]) => [key, clone(field)]),
+    );
+  }
+  return value;
+}
+
+function comparable(value) {
+  return value instanceof Timestamp ? value.toMillis() : value;
+}
+
+function getField(data, fieldPath) {
+  return fieldPath
+    .split(".")
+    .reduce(
+      (value, key) => (isPlainObject(value) ? value[key] : undefined),
+      data,
+    );
+}
+
+/**
+ * Writes `data` into `target`, resolving transforms. With merge, nested
+ * maps are merged instead of replaced.
+ */
+function writeFields(target, data, merge) {
+  for (const [key, value] of Object.entries(data)) {
+    if (value instanceof FieldValue) {
+      applyTransform(target, key, value);
+    } else if (merge && isPlainObject(value) && isPlainObject(target[key])) {
+      writeFields(target[key], value, true);
+    } else if (isPlainObject(value)) {
+      target[key] = {};
+      writeFields(target[key], value, false);
+    } else {
+      target[key] = clone(value);
+    }
+  }
+}
+
+function applyTransform(target, key, transform) {
+  switch (transform.methodName) {
+    case "FieldValue.serverTimestamp":
+      target[key] = Timestamp.now();
+      break;
+    case "FieldValue.delete":
+      delete target[key];
+      break;
+    case "FieldValue.increment":
+      target[key] =
+        (typeof target[key] === "number" ? target[key] : 0) + transform.operand;
+      break;
+    case "FieldValue.arrayUnion": {
+      const current = Array.isArray(target[key]) ? target[key] : [];
+      target[key] = [
+        ...current,
+        ...transform.elements.filter(
+          (element) => !current.some((item) => item === element),
+        ),
+      ];
+      break;
+    }
+    case "FieldValue.arrayRemove":
+      target[key] = (Array.isArray(target[key]) ? target[key] : []).filter(
+        (item) => !transform.elements.includes(item),
+      );
+      break;
+    default:
+      throw new Error(`Unsupported transform: ${transform.methodName}`);
+  }
+}
+
+const FILTERS = {
+  "==": (value, operand) => comparable(value) === comparable(operand),
+  "!=": (value, operand) => comparable(value) !== comparable(operand),
+  "<": (value, operand) => comparable(value) < comparable(operand),
+  "<=": (value, operand) => comparable(value) <= comparable(operand),
+  ">": (value, operand) => comparable(value) > comparable(operand),
+  ">=": (value, operand) => comparable(value) >= comparable(operand),
+  in: (value, operand) =>
+    operand.some((item) => comparable(item) === comparable(value)),
+  "array-contains": (value, operand) =>
+    Array.isArray(value) &&
+    value.some((item) => comparable(item) === comparable(operand)),
+};
+
+function createFakeFirestore() {
+  const documents = new Map();
+  let transactionQueue = Promise.resolve();
+
+  function snapshotOf(ref) {
+    const data = documents.get(ref.path);
+    return {
+      id: ref.id,
+      ref,
+      exists: data !== undefined,
+      data: () => (data === undefined ? undefined : clone(data)),
+      get: (fieldPath) => clone(getField(data, fieldPath)),
+    };
+  }
+
+  // ============================================
+  // Writes
+  // ============================================
+
+  function checkPrecondition(op, exists) {
+    if (op.type === "create" && exists) {
+      throw firestoreError(
+        ALREADY_EXISTS,
+        `Document already exists: ${op.ref.path}`,
+      );
+    }
+    if (op.type === "update" && !exists) {
+      throw firestoreError(NOT_FOUND, `No document to update: ${op.ref.path}`);
+    }
+  }
+
+  function applyWrite(op) {
+    const { path } = op.ref;
+    if (op.type === "delete") {
+      documents.delete(path);
+      return;
+    }
+    if (op.type === "update") {
+      const data = clone(documents.get(path));
+      for (const [fieldPath, value] of Object.entries(op.data)) {
+        const keys = fieldPath.split(".");
+        const leaf = keys.pop();
+        let parent = data;
+        for (const key of keys) {
+          parent[key] = isPlainObject(parent[key]) ? parent[key] : {};
+          parent = parent[key];
+        }
+        writeFields(parent, { [leaf]: value }, false);
+      }
+      documents.set(path, data);
+      return;
+    }
+    const merge = op.type === "set" && op.options?.merge;
+    const data = merge ? clone(documents.get(path) || {}) : {};
+    writeFields(data, op.data, merge);
+    documents.set(path, data);
+  }
+
+  /**
+   * Applies writes atomically: every precondition is checked before any
+   * document changes
+   */
+  function commitWrites(ops) {
+    const exists = new Map();
+    for (const op of ops) {
+      const current = exists.has(op.ref.path)
+        ? exists.get(op.ref.path)
+        : documents.has(op.ref.path);
+      checkPrecondition(op, current);
+      exists.set(op.ref.path, op.type !== "delete");
+    }
+    ops.forEach(applyWrite);
+    return ops.map(() => ({ writeTime: Timestamp.now() }));
+  }
+
+  // ============================================
+  // References and queries
+  // ============================================
+
+  function createQuery(
+    source,
+    { filters = [], orders = [], limit = null, after = null } = {},
+  ) {
+    const belongs = (path) => {
+      const segments = path.split("/");
+      if (source.group) {
+        return segments[segments.length - 2] === source.group;
+      }
+      return (
+        path.startsWith(`${source.path}/`) &&
+        segments.length === source.depth + 1
+      );
+    };
+
+    // Like Firestore, ties on the orderBy fields are broken by document path
+    const compare = (a, b) => {
+      for (const { fieldPath, direction } of orders) {
+        const left = comparable(getField(a.data, fieldPath));
+        const right = comparable(getField(b.data, fieldPath));
+        if (left !== right) {
+          const sign = direction === "desc" ? -1 : 1;
+          return left < right ? -sign : sign;
+        }
+      }
+      return a.path < b.path ? -1 : a.path > b.path ? 1 : 0;
+    };
+    const options = { filters, orders, limit, after };
+
+    const query = {
+      where(fieldPath, op, value) {
+        if (!FILTERS[op]) {
+          throw new Error(`Unsupported operator: ${op}`);
+        }
+        return createQuery(source, {
+          ...options,
+          filters: [...filters, { fieldPath, op, value }],
+        });
+      },
+
+      orderBy(fieldPath, direction = "asc") {
+        return createQuery(source, {
+          ...options,
+          orders: [...orders, { fieldPath, direction }],
+        });
+      },
+
+      limit(count) {
+        return createQuery(source, { ...options, limit: count });
+      },
+
+      // Only the document snapshot form of the cursor is supported
+      startAfter(snapshot) {
+        if (!snapshot.exists) {
+          throw new Error("Cursor document does not exist");
+        }
+        return createQuery(source, {
+          ...options,
+          after: { path: snapshot.ref.path, data: snapshot.data() },
+        });
+      },
+
+      count() {
+        return {
+          get: async () => {
+            const { size } = await query.get();
+            return { data: () => ({ count: size }) };
+          },
+        };
+      },
+
+      async get() {
+        let matches = [...documents.keys()]
+          .filter(belongs)
+          .sort()
+          .map((path) => ({ path, data: documents.get(path) }))
+          .filter(({ data }) =>
+            filters.every(({ fieldPath, op, value }) => {
+              const field = getField(data, fieldPath);
+              return field !== undefined && FILTERS[op](field, value);
+            }),
+          );
+
+        // Like Firestore, ordering on a field drops docs that lack it
+        for (const { fieldPath } of orders) {
+          matches = matches.filter(
+            ({ data }) => getField(data, fieldPath) !== undefined,
+          );
+        }
+        matches.sort(compare);
+        if (after) {
+          matches = matches.filter((match) => compare(match, after) > 0);
+        }
+        if (limit !== null) {
+          matches = matches.slice(0, limit);
+        }
+
+        const docs = matches.map(({ path }) => snapshotOf(docRef(path)));
+        return {
+          docs,
+          size: docs.length,
+          empty: docs.length === 0,
+          forEach: (fn) => docs.forEach(fn),
+        };
+      },
+    };
+    return query;
+  }
+
+  function collectionRef(path) {
+    const segments = path.split("/");
+    if (segments.length % 2 !== 1) {
+      throw new Error(`Not a collection path: ${path}`);
+    }
+    return {
+      ...createQuery({ path, depth: segments.length }),
+      id: segments[segments.length - 1],
+      path,
+      parent:
+        segments.length > 1 ? docRef(segments.slice(0, -1).join("/")) : null,
+      doc: (id = autoId()) => docRef(`${path}/${id}`),
+      // Includes "missing" documents that only have subcollections
+      async listDocuments() {
+        const ids = new Set(
+          [...documents.keys()]
+            .filter((docPath) => docPath.startsWith(`${path}/`))
+            .map((docPath) => docPath.split("/")[segments.length]),
+        );
+        return [...ids].sort().map((id) => docRef(`${path}/${id}`));
+      },
+      async add(data) {
+        const ref = docRef(`${path}/${autoId()}`);
+        await ref.set(data);
+        return ref;
+      },
+    };
+  }
+
+  function docRef(path) {
+    const segments = path.split("/");
+    if (segments.length % 2 !== 0) {
+      throw new Error(`Not a document path: ${path}`);
+    }
+    const ref = {
+      id: segments[segments.length - 1],
+      path,
+      get parent() {
+        return collectionRef(segments.slice(0, -1).join("/"));
+      },
+      collection: (name) => collectionRef(`${path}/${name}`),
+      get: async () => snapshotOf(ref),
+      create: async (data) => commitWrites([{ type: "create", ref, data }])[0],
+      set: async (data, options) =>
+        commitWrites([{ type: "set", ref, data, options }])[0],
+      update: async (data) => commitWrites([{ type: "update", ref, data }])[0],
+      delete: async () => commitWrites([{ type: "delete", ref }])[0],
+    };
+    return ref;
+  }
+
+  // ============================================
+  // Transactions, batches and BulkWriter
+  // ============================================
+
+  function createWriteBuffer(ops) {
+    return {
+      create(ref, data) {
+        ops.push({ type: "create", ref, data });
+        return this;
+      },
+      set(ref, data, options) {
+        ops.push({ type: "set", ref, data, options });
+        return this;
+      },
+      update(ref, data) {
+        ops.push({ type: "update", ref, data });
+        return this;
+      },
+      delete(ref) {
+        ops.push({ type: "delete", ref });
+        return this;
+      },
+    };
+  }
+
+  return {
+    collection: collectionRef,
+    doc: docRef,
+    collectionGroup: (id) => createQuery({ group: id }),
+
+    async listCollections() {
+      const ids = new Set(
+        [...documents.keys()].map((path) => path.split("/")[0]),
+      );
+      return [...ids].sort().map(collectionRef);
+    },
+
+    /**
+     * Runs transactions one at a time, so reads and writes in one can't
+     * interleave with another (the real client would retry instead)
+     */
+    runTransaction(fn) {
+      const run = transactionQueue.then(async () => {
+        const ops = [];
+        const transaction = {
+          ...createWriteBuffer(ops),
+          get: async (ref) => ref.get(),
+        };
+        const result = await fn(transaction);
+        commitWrites(ops);
+        return result;
+      });
+      transactionQueue = run.catch(() => {});
+      return run;
+    },
+
+    batch() {
+      const ops = [];
+      return {
+        ...createWriteBuffer(ops),
+        commit: async () => commitWrites(ops),
+      };
+    },
+
+    /**
+     * Queued writes settle on flush() or close(), each one independently
+     */
+    bulkWriter() {
+      let pending = [];
+      let closed = false;
+
+      const enqueue = (op) => {
+        if (closed) {
+          throw new Error("BulkWriter has already been closed.");
+        }
+        return new Promise((resolve, reject) => {
+          pending.push({ op, resolve, reject });
+        });
+      };
+      const flush = async () => {
+        const writes = pending;
+        pending = [];
+        for (const { op, resolve, reject } of writes) {
+          try {
+            resolve(commitWrites([op])[0]);
+          } catch (error) {
+            reject(error);
+          }
+        }
+      };
+
+      return {
+        create: (ref, data) => enqueue({ type: "create", ref, data }),
+        set: (ref, data, options) =>
+          enqueue({ type: "set", ref, data, options }),
+        update: (ref, data) => enqueue({ type: "update", ref, data }),
+        delete: (ref) => enqueue({ type: "delete", ref }),
+        flush,
+        async close() {
+          if (closed) {
+            throw new Error("BulkWriter has already been closed.");
+          }
+          closed = true;
+          await flush();
+        },
+      };
+    },
+  };
+}
+
+module.exports = {
+  createFakeFirestore,
+};
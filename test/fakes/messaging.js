@@ -0,0 +1,89 @@
+// ============================================
+// FAKE FCM - scripted stand-in for admin.messaging()
+// ============================================
+//
+// sendEachForMulticast succeeds for every token unless told otherwise:
+// failToken() makes every later send to one token fail with an error code,
+// failNextRequest() makes the next whole call (multicast or topic send)
+// throw. Every call, including the ones that throw, is recorded in
+// `requests`, except dry-run sends (nothing is delivered). Topic
+// subscriptions are kept in `topics` (topic -> Set of tokens).
+
+function messagingError(code, message = `Fake FCM error: ${code}`) {
+  return Object.assign(new Error(message), { code });
+}
+
+function createFakeMessaging() {
+  const tokenErrors = new Map();
+  const requestErrors = [];
+  const requests = [];
+  const topics = new Map();
+
+  // Like the real client, accepts one token or an array
+  function updateTopic(tokenOrTokens, topic, subscribe) {
+    const tokens = [].concat(tokenOrTokens);
+    const subscribers = topics.get(topic) || new Set();
+    tokens.forEach((token) =>
+      subscribe ? subscribers.add(token) : subscribers.delete(token),
+    );
+    topics.set(topic, subscribers);
+    return { successCount: tokens.length, failureCount: 0, errors: [] };
+  }
+
+  return {
+    requests,
+    topics,
+
+    failToken(token, code, message) {
+      tokenErrors.set(token, messagingError(code, message));
+    },
+
+    failNextRequest(code, message) {
+      requestErrors.push(messagingError(code, message));
+    },
+
+    async send(message, dryRun = false) {
+      if (!dryRun) {
+        requests.push(message);
+      }
+      if (requestErrors.length > 0) {
+        throw requestErrors.shift();
+      }
+      return `projects/fake/messages/${requests.length}`;
+    },
+
+    async subscribeToTopic(tokens, topic) {
+      return updateTopic(tokens, topic, true);
+    },
+
+    async unsubscribeFromTopic(tokens, topic) {
+      return updateTopic(tokens, topic, false);
+    },
+
+    async sendEachForMulticast(message) {
+      requests.push(message);
+      if (requestErrors.length > 0) {
+        throw requestErrors.shift();
+      }
+
+      const responses = message.tokens.map((token, index) =>
+        tokenErrors.has(token)
+          ? { success: false, error: tokenErrors.get(token) }
+          : {
+              success: true,
+              messageId: `projects/fake/messages/${requests.length}-${index}`,
+            },
+      );
+      const successCount = responses.filter((resp) => resp.success).length;
+      return {
+        responses,
+        successCount,
+        failureCount: responses.length - successCount,
+      };
+    },
+  };
+}
+
+module.exports = {
+  createFakeMessaging,
+};
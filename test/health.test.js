@@ -0,0 +1,81 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createReadinessCheck, createDrainTracker } = require("../src/health");
+const { createFakeFirestore } = require("./fakes/firestore");
+const { createFakeMessaging } = require("./fakes/messaging");
+
+describe("readiness check", () => {
+  it("is ready when Firestore and FCM answer", async () => {
+    const messaging = createFakeMessaging();
+    const readiness = createReadinessCheck({
+      db: createFakeFirestore(),
+      messaging,
+    });
+
+    const { ready, checks } = await readiness.check();
+
+    assert.equal(ready, true);
+    assert.equal(checks.firestore.ok, true);
+    assert.equal(checks.fcm.ok, true);
+    assert.equal(messaging.requests.length, 0);
+  });
+
+  it("reports a failing or hanging dependency", async () => {
+    const messaging = createFakeMessaging();
+    messaging.failNextRequest("app/network-error", "FCM unreachable");
+    const hangingDb = {
+      collection: () => ({ doc: () => ({ get: () => new Promise(() => {}) }) }),
+    };
+    const readiness = createReadinessCheck({
+      db: hangingDb,
+      messaging,
+      timeoutMs: 20,
+    });
+
+    const { ready, checks } = await readiness.check();
+
+    assert.equal(ready, false);
+    assert.equal(checks.firestore.error, "Timed out after 20ms");
+    assert.equal(checks.fcm.error, "FCM unreachable");
+  });
+
+  it("reuses a recent result", async () => {
+    const messaging = createFakeMessaging();
+    const readiness = createReadinessCheck({
+      db: createFakeFirestore(),
+      messaging,
+    });
+
+    await readiness.check();
+    messaging.failNextRequest("app/network-error");
+    const { ready } = await readiness.check();
+
+    assert.equal(ready, true);
+  });
+});
+
+describe("drain tracker", () => {
+  it("waits for tracked work", async () => {
+    const tracker = createDrainTracker();
+    let finished = false;
+    tracker.track(
+      new Promise((resolve) => setTimeout(resolve, 20)).then(() => {
+        finished = true;
+      }),
+    );
+
+    const pending = await tracker.drain(1000);
+
+    assert.equal(pending, 0);
+    assert.equal(finished, true);
+    assert.equal(tracker.isDraining(), true);
+  });
+
+  it("gives up after the timeout", async () => {
+    const tracker = createDrainTracker();
+    tracker.track(new Promise(() => {}));
+    tracker.track(Promise.reject(new Error("failed sweep")));
+
+    assert.equal(await tracker.drain(20), 1);
+  });
+});
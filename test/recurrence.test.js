@@ -0,0 +1,107 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseRRule, getNextOccurrence } = require("../src/recurrence");
+
+const next = (rrule, fireAt, options = {}) =>
+  getNextOccurrence(
+    { rrule, timezone: options.timezone },
+    fireAt,
+    options.occurrenceCount || 1,
+    options.after,
+  );
+
+const iso = (occurrence) =>
+  occurrence && new Date(occurrence.fireAt).toISOString();
+
+describe("recurrence", () => {
+  it("parses the supported subset", () => {
+    assert.deepEqual(parseRRule("RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR"), {
+      freq: "WEEKLY",
+      interval: 2,
+      count: null,
+      until: null,
+      byDay: [1, 5],
+    });
+    assert.throws(() => parseRRule("INTERVAL=2"), /missing FREQ/);
+    assert.throws(() => parseRRule("FREQ=HOURLY"), /Unsupported FREQ/);
+    assert.throws(() => parseRRule("FREQ=DAILY;BYDAY=MO"), /BYDAY/);
+    assert.throws(() => parseRRule("FREQ=MONTHLY;BYMONTHDAY=32"), /32/);
+  });
+
+  it("steps daily and weekly rules by their interval", () => {
+    const monday = Date.UTC(2026, 0, 5, 9); // Monday
+
+    assert.equal(
+      iso(next("FREQ=DAILY;INTERVAL=3", monday)),
+      "2026-01-08T09:00:00.000Z",
+    );
+    assert.equal(
+      iso(next("FREQ=WEEKLY;BYDAY=MO,FR", monday)),
+      "2026-01-09T09:00:00.000Z",
+    );
+    assert.equal(
+      iso(next("FREQ=WEEKLY;INTERVAL=2;BYDAY=MO", monday)),
+      "2026-01-19T09:00:00.000Z",
+    );
+  });
+
+  it("skips months without the day and supports the last day", () => {
+    const jan31 = Date.UTC(2026, 0, 31, 9);
+
+    assert.equal(iso(next("FREQ=MONTHLY", jan31)), "2026-03-31T09:00:00.000Z");
+    assert.equal(
+      iso(next("FREQ=MONTHLY;BYMONTHDAY=-1", jan31)),
+      "2026-02-28T09:00:00.000Z",
+    );
+    assert.equal(
+      iso(next("FREQ=YEARLY", Date.UTC(2024, 1, 29, 9))),
+      "2028-02-29T09:00:00.000Z",
+    );
+  });
+
+  it("gives up on a rule that never occurs again", () => {
+    const april30 = Date.UTC(2026, 3, 30, 9);
+
+    assert.equal(next("FREQ=MONTHLY;INTERVAL=12;BYMONTHDAY=31", april30), null);
+  });
+
+  it("keeps the wall-clock time across DST changes", () => {
+    // 09:00 in New York: EST (UTC-5) before 8 March 2026, EDT (UTC-4) after
+    const beforeDst = Date.UTC(2026, 2, 7, 14);
+
+    assert.equal(
+      iso(next("FREQ=DAILY", beforeDst, { timezone: "America/New_York" })),
+      "2026-03-08T13:00:00.000Z",
+    );
+  });
+
+  it("ends at COUNT and UNTIL", () => {
+    const start = Date.UTC(2026, 0, 1, 9);
+
+    assert.equal(
+      next("FREQ=DAILY;COUNT=3", start, { occurrenceCount: 3 }),
+      null,
+    );
+    assert.deepEqual(
+      next("FREQ=DAILY;COUNT=3", start, { occurrenceCount: 2 }),
+      {
+        fireAt: Date.UTC(2026, 0, 2, 9),
+        occurrenceCount: 3,
+      },
+    );
+    assert.equal(next("FREQ=DAILY;UNTIL=20260101T235959Z", start), null);
+  });
+
+  it("counts occurrences skipped while catching up", () => {
+    const start = Date.UTC(2026, 0, 1, 9);
+
+    assert.deepEqual(
+      next("FREQ=DAILY", start, { after: Date.UTC(2026, 0, 4, 12) }),
+      { fireAt: Date.UTC(2026, 0, 5, 9), occurrenceCount: 5 },
+    );
+    assert.equal(
+      next("FREQ=DAILY;COUNT=3", start, { after: Date.UTC(2026, 0, 4, 12) }),
+      null,
+    );
+  });
+});
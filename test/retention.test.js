@@ -0,0 +1,130 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createRetentionCleanup } = require("../src/retention");
+const { createFakeFirestore } = require("./fakes/firestore");
+
+const DAY_MS = 24 * 60 * 60000;
+
+function setup(options = {}) {
+  const db = createFakeFirestore();
+  const cleanup = createRetentionCleanup({ db, retentionDays: 30, ...options });
+  const old = Date.UTC(2020, 0, 1, 12);
+
+  return {
+    db,
+    old,
+    run: (runOptions) => cleanup.runCleanup(runOptions),
+    addNotification: async (userId, id, fields, attemptCount = 0) => {
+      const ref = db.doc(`users/${userId}/pushNotifications/${id}`);
+      await ref.set({ fireAt: old, ...fields });
+      for (let i = 0; i < attemptCount; i++) {
+        await ref
+          .collection("deliveryAttempts")
+          .doc(`a${i}`)
+          .set({ channel: "fcm" });
+      }
+    },
+    exists: async (path) => (await db.doc(path).get()).exists,
+    getData: async (path) => (await db.doc(path).get()).data(),
+  };
+}
+
+describe("retention cleanup", () => {
+  it("deletes old finished notifications and their attempts", async () => {
+    const t = setup();
+    await t.addNotification("u1", "sent", { status: "sent" }, 2);
+    await t.addNotification("u1", "failed", { status: "failed" });
+    await t.addNotification("u1", "dead", { status: "dead_letter" });
+    await t.addNotification("u1", "pending", { status: "retrying" });
+    await t.addNotification("u1", "recent", {
+      status: "sent",
+      fireAt: Date.now() - DAY_MS,
+    });
+
+    const report = await t.run();
+
+    assert.equal(report.removed, 3);
+    assert.equal(report.attemptsRemoved, 2);
+    assert.deepEqual(report.byStatus, { sent: 1, failed: 1, dead_letter: 1 });
+    assert.equal(report.limitReached, false);
+    assert.equal(await t.exists("users/u1/pushNotifications/sent"), false);
+    assert.equal(
+      await t.exists("users/u1/pushNotifications/sent/deliveryAttempts/a0"),
+      false,
+    );
+    assert.equal(await t.exists("users/u1/pushNotifications/dead"), false);
+    assert.equal(await t.exists("users/u1/pushNotifications/pending"), true);
+    assert.equal(await t.exists("users/u1/pushNotifications/recent"), true);
+  });
+
+  it("reports without writing in a dry run", async () => {
+    const t = setup({ rollup: true });
+    await t.addNotification("u1", "n1", { status: "sent" }, 3);
+    await t.addNotification("u2", "n2", { status: "expired" });
+
+    const report = await t.run({ dryRun: true });
+
+    assert.equal(report.dryRun, true);
+    assert.equal(report.removed, 2);
+    assert.equal(report.attemptsRemoved, 3);
+    assert.equal(report.summariesUpdated, 2);
+    assert.equal(await t.exists("users/u1/pushNotifications/n1"), true);
+    assert.equal(
+      await t.exists("users/u1/notificationSummaries/2020-01-01"),
+      false,
+    );
+  });
+
+  it("moves notifications and attempts to the archive", async () => {
+    const t = setup({ mode: "archive" });
+    await t.addNotification("u1", "n1", { status: "sent", title: "Hi" }, 1);
+
+    await t.run();
+
+    assert.equal(await t.exists("users/u1/pushNotifications/n1"), false);
+    const archived = await t.getData("users/u1/archivedNotifications/n1");
+    assert.equal(archived.title, "Hi");
+    assert.ok(archived.archivedAt);
+    assert.deepEqual(
+      await t.getData("users/u1/archivedNotifications/n1/deliveryAttempts/a0"),
+      { channel: "fcm" },
+    );
+  });
+
+  it("rolls removed notifications up into daily per-user summaries", async () => {
+    const t = setup({ rollup: true });
+    await t.addNotification("u1", "n1", { status: "sent" });
+    await t.addNotification("u1", "n2", { status: "sent" });
+    await t.addNotification("u1", "n3", {
+      status: "failed",
+      fireAt: t.old + DAY_MS,
+    });
+    await t.db
+      .doc("users/u1/notificationSummaries/2020-01-01")
+      .set({ date: "2020-01-01", total: 1, byStatus: { sent: 1 } });
+
+    const report = await t.run();
+
+    assert.equal(report.summariesUpdated, 2);
+    const first = await t.getData("users/u1/notificationSummaries/2020-01-01");
+    assert.equal(first.total, 3);
+    assert.deepEqual(first.byStatus, { sent: 3 });
+    const second = await t.getData("users/u1/notificationSummaries/2020-01-02");
+    assert.deepEqual(second.byStatus, { failed: 1 });
+  });
+
+  it("stops at the per-run limit and continues on the next run", async () => {
+    const t = setup({ maxPerRun: 2 });
+    for (const id of ["n1", "n2", "n3"]) {
+      await t.addNotification("u1", id, { status: "cancelled" });
+    }
+
+    const first = await t.run();
+    assert.equal(first.removed, 2);
+    assert.equal(first.limitReached, true);
+
+    const second = await t.run();
+    assert.equal(second.removed, 1);
+    assert.equal(second.limitReached, false);
+  });
+});
@@ -0,0 +1,921 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createNotificationSweep } = require("../src/sweep");
+const { verifyActionToken } = require("../src/actions");
+const { topicForGroup } = require("../src/groups");
+const { createFakeFirestore } = require("./fakes/firestore");
+const { createFakeMessaging } = require("./fakes/messaging");
+
+const DAY_MS = 24 * 60 * 60000;
+
+function setup({ channels = {}, actionTokenSecret = null } = {}) {
+  const db = createFakeFirestore();
+  const messaging = createFakeMessaging();
+  const sweep = createNotificationSweep({
+    db,
+    messaging,
+    channels,
+    actionTokenSecret,
+  });
+
+  return {
+    db,
+    messaging,
+    sweep: () => sweep.checkAndSendNotifications(),
+    plan: () => sweep.checkAndSendNotifications({ dryRun: true }),
+    addToken: (userId, token, fields = {}) =>
+      db.doc(`users/${userId}/fcmTokens/${token}`).set(fields),
+    addNotification: (userId, id, fields = {}) =>
+      db.doc(`users/${userId}/pushNotifications/${id}`).set({
+        status: "scheduled",
+        fireAt: Date.now() - 1000,
+        ...fields,
+      }),
+    addBroadcast: (groupId, id, fields = {}) =>
+      db.doc(`groups/${groupId}/broadcasts/${id}`).set({
+        status: "scheduled",
+        fireAt: Date.now() - 1000,
+        title: "Standup moved",
+        ...fields,
+      }),
+    setSettings: (userId, settings) =>
+      db.doc(`users/${userId}/settings/notifications`).set(settings),
+    getData: async (path) => (await db.doc(path).get()).data(),
+    getAttempts: async (path) =>
+      (await db.collection(`${path}/deliveryAttempts`).get()).docs.map((doc) =>
+        doc.data(),
+      ),
+  };
+}
+
+describe("FCM targeting fallbacks", () => {
+  it("sends to every device when the notification has no deviceId", async () => {
+    const t = setup();
+    await t.addToken("u1", "token-a", { deviceId: "d1" });
+    await t.addToken("u1", "token-b", { deviceId: "d2" });
+    await t.addNotification("u1", "n1");
+
+    assert.equal(await t.sweep(), 2);
+
+    assert.deepEqual(t.messaging.requests[0].tokens, ["token-a", "token-b"]);
+    const data = await t.getData("users/u1/pushNotifications/n1");
+    assert.equal(data.status, "sent");
+    assert.equal(data.leaseOwner, undefined);
+    const [attempt] = await t.getAttempts("users/u1/pushNotifications/n1");
+    assert.equal(attempt.path, "all-devices");
+  });
+
+  it("sends only to the creating device when it has a token", async () => {
+    const t = setup();
+    await t.addToken("u1", "token-a", { deviceId: "d1" });
+    await t.addToken("u1", "token-b", { deviceId: "d2" });
+    await t.addNotification("u1", "n1", { deviceId: "d2" });
+
+    assert.equal(await t.sweep(), 1);
+
+    assert.deepEqual(t.messaging.requests[0].tokens, ["token-b"]);
+    const data = await t.getData("users/u1/pushNotifications/n1");
+    assert.equal(data.status, "sent");
+    assert.equal(data.sentToDevice, "d2");
+  });
+
+  it("sends to the other devices when the creating device has no token", async () => {
+    const t = setup();
+    await t.addToken("u1", "token-a", { deviceId: "d1" });
+    await t.addNotification("u1", "n1", { deviceId: "gone" });
+
+    assert.equal(await t.sweep(), 1);
+
+    assert.deepEqual(t.messaging.requests[0].tokens, ["token-a"]);
+    const data = await t.getData("users/u1/pushNotifications/n1");
+    assert.match(data.note, /no matching device token/);
+    const [attempt] = await t.getAttempts("users/u1/pushNotifications/n1");
+    assert.equal(attempt.path, "other-devices");
+  });
+
+  it("falls back to the other devices when the creating device fails permanently", async () => {
+    const t = setup();
+    await t.addToken("u1", "token-a", { deviceId: "d1" });
+    await t.addToken("u1", "token-b", { deviceId: "d2" });
+    await t.addNotification("u1", "n1", { deviceId: "d1" });
+    t.messaging.failNextRequest("messaging/invalid-argument");
+
+    assert.equal(await t.sweep(), 1);
+
+    assert.deepEqual(
+      t.messaging.requests.map((request) => request.tokens),
+      [["token-a"], ["token-b"]],
+    );
+    const data = await t.getData("users/u1/pushNotifications/n1");
+    assert.equal(data.status, "failed");
+    assert.equal(data.errorCode, "messaging/invalid-argument");
+    assert.equal(data.note, "Failed to send to creating device");
+    const attempts = await t.getAttempts("users/u1/pushNotifications/n1");
+    assert.deepEqual(attempts.map((attempt) => attempt.path).sort(), [
+      "creating-device",
+      "other-devices-after-failure",
+    ]);
+  });
+
+  it("fails when the fallback to the other devices fails too", async () => {
+    const t = setup();
+    await t.addToken("u1", "token-a", { deviceId: "d1" });
+    await t.addToken("u1", "token-b", { deviceId: "d2" });
+    await t.addNotification("u1", "n1", { deviceId: "d1" });
+    t.messaging.failNextRequest("messaging/invalid-argument");
+    t.messaging.failNextRequest("messaging/invalid-argument");
+
+    assert.equal(await t.sweep(), 0);
+
+    assert.equal(t.messaging.requests.length, 2);
+    const data = await t.getData("users/u1/pushNotifications/n1");
+    assert.equal(data.status, "failed");
+    assert.equal(data.errorCode, "messaging/invalid-argument");
+    const attempts = await t.getAttempts("users/u1/pushNotifications/n1");
+    assert.deepEqual(
+      attempts.map((attempt) => [attempt.path, attempt.error]).sort(),
+      [
+        ["creating-device", "Fake FCM error: messaging/invalid-argument"],
+        [
+          "other-devices-after-failure",
+          "Fake FCM error: messaging/invalid-argument",
+        ],
+      ],
+    );
+  });
+
+  it("schedules a retry instead of falling back on a transient error", async () => {
+    const t = setup();
+    await t.addToken("u1", "token-a", { deviceId: "d1" });
+    await t.addToken("u1", "token-b", { deviceId: "d2" });
+    await t.addNotification("u1", "n1", { deviceId: "d1" });
+    t.messaging.failNextRequest("messaging/server-unavailable");
+
+    assert.equal(await t.sweep(), 0);
+
+    assert.equal(t.messaging.requests.length, 1);
+    const data = await t.getData("users/u1/pushNotifications/n1");
+    assert.equal(data.status, "retrying");
+    assert.equal(data.retryCount, 1);
+    assert.ok(data.nextAttemptAt > Date.now());
+  });
+
+  it("schedules a retry when every token fails with a transient error", async () => {
+    const t = setup();
+    await t.addToken("u1", "token-a");
+    t.messaging.failToken("token-a", "messaging/unavailable");
+    await t.addNotification("u1", "n1");
+
+    assert.equal(await t.sweep(), 0);
+
+    const data = await t.getData("users/u1/pushNotifications/n1");
+    assert.equal(data.status, "retrying");
+    assert.equal(data.retryCount, 1);
+    assert.equal(data.lastErrorCode, "messaging/unavailable");
+  });
+
+  it("dead-letters a transient failure on the last attempt", async () => {
+    const t = setup();
+    await t.addToken("u1", "token-a");
+    // Default NOTIFICATION_MAX_ATTEMPTS is 5
+    await t.addNotification("u1", "n1", {
+      status: "retrying",
+      retryCount: 4,
+      nextAttemptAt: Date.now() - 1000,
+    });
+    t.messaging.failNextRequest("messaging/internal-error");
+
+    await t.sweep();
+
+    const data = await t.getData("users/u1/pushNotifications/n1");
+    assert.equal(data.status, "dead_letter");
+    assert.equal(data.retryCount, 5);
+    assert.match(data.note, /Gave up after 5 attempts/);
+  });
+
+  it("fails a notification when the user has no tokens", async () => {
+    const t = setup();
+    await t.addNotification("u1", "n1", { deviceId: "d1" });
+
+    assert.equal(await t.sweep(), 0);
+
+    assert.equal(t.messaging.requests.length, 0);
+    const data = await t.getData("users/u1/pushNotifications/n1");
+    assert.equal(data.status, "failed");
+    assert.equal(data.error, "No FCM tokens available");
+    assert.equal(data.sentAt, undefined);
+    const [attempt] = await t.getAttempts("users/u1/pushNotifications/n1");
+    assert.equal(attempt.path, "no-tokens");
+  });
+
+  it("falls back to the next channel when FCM delivers nothing", async () => {
+    const webhookCalls = [];
+    const t = setup({
+      channels: {
+        webhook: {
+          name: "webhook",
+          send: async (context) => {
+            webhookCalls.push(context.notification.id);
+            return { delivered: true };
+          },
+        },
+      },
+    });
+    await t.addToken("u1", "token-a");
+    await t.addNotification("u1", "n1", { channels: ["fcm", "webhook"] });
+    t.messaging.failToken("token-a", "messaging/third-party-auth-error");
+
+    assert.equal(await t.sweep(), 1);
+
+    assert.deepEqual(webhookCalls, ["n1"]);
+    const data = await t.getData("users/u1/pushNotifications/n1");
+    assert.equal(data.sentVia, "webhook");
+    assert.deepEqual(
+      data.channelResults.map((result) => [result.channel, result.delivered]),
+      [
+        ["fcm", false],
+        ["webhook", true],
+      ],
+    );
+  });
+});
+
+describe("targeting policies", () => {
+  async function setupDevices() {
+    const t = setup();
+    const now = Date.now();
+    await t.addToken("u1", "token-android", {
+      deviceId: "d1",
+      platform: "android",
+      lastSeen: now - 5000,
+    });
+    await t.addToken("u1", "token-ios", {
+      deviceId: "d2",
+      platform: "ios",
+      lastSeen: now - 100,
+    });
+    await t.addToken("u1", "token-web", {
+      deviceId: "d3",
+      platform: "web",
+      lastSeen: now - DAY_MS,
+    });
+    return t;
+  }
+
+  it("sends to every device with targeting all", async () => {
+    const t = await setupDevices();
+    await t.addNotification("u1", "n1", { deviceId: "d1", targeting: "all" });
+
+    await t.sweep();
+
+    assert.equal(t.messaging.requests[0].tokens.length, 3);
+  });
+
+  it("filters by platform", async () => {
+    const t = await setupDevices();
+    await t.addNotification("u1", "n1", {
+      deviceId: "d3",
+      targeting: { platforms: ["android", "ios"] },
+    });
+
+    await t.sweep();
+
+    assert.deepEqual(t.messaging.requests[0].tokens.sort(), [
+      "token-android",
+      "token-ios",
+    ]);
+  });
+
+  it("sends nothing when no device is on a targeted platform", async () => {
+    const t = setup();
+    await t.addToken("u1", "token-web", { deviceId: "d3", platform: "web" });
+    await t.addNotification("u1", "n1", { targeting: { platforms: ["ios"] } });
+
+    assert.equal(await t.sweep(), 0);
+
+    assert.equal(t.messaging.requests.length, 0);
+    const [attempt] = await t.getAttempts("users/u1/pushNotifications/n1");
+    assert.equal(attempt.path, "no-matching-platform");
+  });
+
+  it("picks the most recently seen device", async () => {
+    const t = await setupDevices();
+    await t.addNotification("u1", "n1", { targeting: "most-recent" });
+
+    await t.sweep();
+
+    assert.deepEqual(t.messaging.requests[0].tokens, ["token-ios"]);
+    const data = await t.getData("users/u1/pushNotifications/n1");
+    assert.equal(data.sentToDevice, "d2");
+  });
+
+  it("uses the targeting from the user's settings by default", async () => {
+    const t = await setupDevices();
+    await t.db
+      .doc("users/u1/settings/notifications")
+      .set({ targeting: { platforms: ["web"] } });
+    await t.addNotification("u1", "n1", { deviceId: "d1" });
+
+    await t.sweep();
+
+    assert.deepEqual(t.messaging.requests[0].tokens, ["token-web"]);
+  });
+});
+
+describe("token cleanup", () => {
+  it("deletes tokens FCM reports as unregistered", async () => {
+    const t = setup();
+    await t.addToken("u1", "token-dead", { deviceId: "d1" });
+    await t.addToken("u1", "token-ok", { deviceId: "d2" });
+    await t.addNotification("u1", "n1");
+    t.messaging.failToken(
+      "token-dead",
+      "messaging/registration-token-not-registered",
+    );
+
+    assert.equal(await t.sweep(), 1);
+
+    assert.equal(await t.getData("users/u1/fcmTokens/token-dead"), undefined);
+    assert.ok(await t.getData("users/u1/fcmTokens/token-ok"));
+    assert.equal((await t.getData("users/u1")).fcmTokenCount, 1);
+  });
+
+  it("deletes on invalid-argument only when FCM blames the token", async () => {
+    const t = setup();
+    await t.addToken("u1", "token-bad", { deviceId: "d1" });
+    await t.addToken("u1", "token-payload", { deviceId: "d2" });
+    await t.addNotification("u1", "n1");
+    t.messaging.failToken(
+      "token-bad",
+      "messaging/invalid-argument",
+      "The registration token is not a valid FCM registration token",
+    );
+    t.messaging.failToken(
+      "token-payload",
+      "messaging/invalid-argument",
+      "Message payload is too big",
+    );
+
+    await t.sweep();
+
+    assert.equal(await t.getData("users/u1/fcmTokens/token-bad"), undefined);
+    const kept = await t.getData("users/u1/fcmTokens/token-payload");
+    assert.equal(kept.failureStreak, 1);
+    assert.equal(kept.lastFailureCode, "messaging/invalid-argument");
+  });
+
+  it("counts other failures as a streak and resets it on success", async () => {
+    const t = setup();
+    await t.addToken("u1", "token-flaky", { failureStreak: 2 });
+    await t.addToken("u1", "token-recovered", { failureStreak: 3 });
+    await t.addNotification("u1", "n1");
+    t.messaging.failToken("token-flaky", "messaging/third-party-auth-error");
+
+    await t.sweep();
+
+    const flaky = await t.getData("users/u1/fcmTokens/token-flaky");
+    assert.equal(flaky.failureStreak, 3);
+    assert.equal(flaky.lastFailureCode, "messaging/third-party-auth-error");
+    assert.ok(flaky.lastFailureAt);
+    const recovered = await t.getData("users/u1/fcmTokens/token-recovered");
+    assert.equal(recovered.failureStreak, 0);
+  });
+
+  it("prunes tokens not seen within the stale period", async () => {
+    const t = setup();
+    await t.addToken("u1", "token-stale", {
+      lastSeen: Date.now() - 90 * DAY_MS,
+    });
+    await t.addToken("u1", "token-fresh", { lastSeen: Date.now() });
+    await t.addToken("u1", "token-legacy", {});
+
+    await t.sweep();
+
+    assert.equal(await t.getData("users/u1/fcmTokens/token-stale"), undefined);
+    assert.ok(await t.getData("users/u1/fcmTokens/token-fresh"));
+    assert.ok(await t.getData("users/u1/fcmTokens/token-legacy"));
+    assert.equal((await t.getData("users/u1")).fcmTokenCount, 2);
+    const state = await t.getData("serviceState/notificationSweep");
+    assert.ok(state.lastTokenPruneAt);
+  });
+
+  it("still sends when pruning fails", async () => {
+    const t = setup();
+    const collectionGroup = t.db.collectionGroup.bind(t.db);
+    t.db.collectionGroup = (id) => {
+      if (id === "fcmTokens") {
+        throw new Error("The query requires an index");
+      }
+      return collectionGroup(id);
+    };
+    await t.addToken("u1", "token-a");
+    await t.addNotification("u1", "n1");
+
+    assert.equal(await t.sweep(), 1);
+  });
+
+  it("prunes at most once per interval", async () => {
+    const t = setup();
+    await t.db
+      .doc("serviceState/notificationSweep")
+      .set({ lastTokenPruneAt: Date.now() - 60000 });
+    await t.addToken("u1", "token-stale", {
+      lastSeen: Date.now() - 90 * DAY_MS,
+    });
+
+    await t.sweep();
+
+    assert.ok(await t.getData("users/u1/fcmTokens/token-stale"));
+  });
+});
+
+describe("action buttons", () => {
+  it("adds snooze/dismiss actions and a token when a secret is set", async () => {
+    const t = setup({ actionTokenSecret: "secret" });
+    await t.addToken("u1", "token-a", { locale: "es" });
+    await t.addNotification("u1", "n1");
+
+    await t.sweep();
+
+    const [message] = t.messaging.requests;
+    assert.deepEqual(message.webpush.notification.actions, [
+      { action: "snooze", title: "Posponer 10 min" },
+      { action: "dismiss", title: "Descartar" },
+    ]);
+    assert.equal(message.apns.payload.aps.category, "REMINDER_ACTIONS");
+    assert.deepEqual(
+      JSON.parse(message.data.actions),
+      message.webpush.notification.actions,
+    );
+    assert.deepEqual(
+      verifyActionToken("secret", message.data.actionToken, "n1", Date.now()),
+      {
+        userId: "u1",
+        issuedAt: Number(message.data.actionToken.split(".")[1]),
+      },
+    );
+  });
+
+  it("leaves the action token out of dry-run plans", async () => {
+    const t = setup({ actionTokenSecret: "secret" });
+    await t.addToken("u1", "token-a");
+    await t.addNotification("u1", "n1");
+
+    const plan = await t.plan();
+
+    const { message } = plan.notifications[0];
+    assert.ok(message.data.actions);
+    assert.equal(message.data.actionToken, "[redacted]");
+  });
+
+  it("sends no actions without a secret", async () => {
+    const t = setup();
+    await t.addToken("u1", "token-a");
+    await t.addNotification("u1", "n1");
+
+    await t.sweep();
+
+    const [message] = t.messaging.requests;
+    assert.equal(message.data.actionToken, undefined);
+    assert.equal(message.webpush.notification.actions, undefined);
+    assert.equal(message.apns.payload.aps.category, undefined);
+  });
+});
+
+/**
+ * "HH:MM" in UTC, `hours` from now
+ */
+function utcTimeOfDay(hours) {
+  const date = new Date(Date.now() + hours * 60 * 60000);
+  return `${String(date.getUTCHours()).padStart(2, "0")}:00`;
+}
+
+describe("quiet hours", () => {
+  const quietNow = { start: utcTimeOfDay(-1), end: utcTimeOfDay(2) };
+
+  it("defers a notification to the end of quiet hours", async () => {
+    const t = setup();
+    await t.addToken("u1", "token-a");
+    await t.setSettings("u1", { timezone: "UTC", quietHours: quietNow });
+    const fireAt = Date.now() - 1000;
+    await t.addNotification("u1", "n1", { fireAt });
+
+    assert.equal(await t.sweep(), 0);
+
+    assert.equal(t.messaging.requests.length, 0);
+    const data = await t.getData("users/u1/pushNotifications/n1");
+    assert.equal(data.status, "scheduled");
+    assert.equal(data.originalFireAt, fireAt);
+    assert.equal(
+      new Date(data.fireAt).toISOString().slice(11, 16),
+      quietNow.end,
+    );
+    assert.ok(data.fireAt > Date.now());
+    assert.equal(data.deliveryDecision.reason, "quiet_hours");
+    assert.equal(data.leaseOwner, undefined);
+  });
+
+  it("defers to the end of do-not-disturb", async () => {
+    const t = setup();
+    await t.addToken("u1", "token-a");
+    const until = Date.now() + 30 * 60000;
+    await t.setSettings("u1", { doNotDisturb: true, doNotDisturbUntil: until });
+    await t.addNotification("u1", "n1");
+
+    await t.sweep();
+
+    const data = await t.getData("users/u1/pushNotifications/n1");
+    assert.equal(data.fireAt, until);
+    assert.equal(data.deliveryDecision.reason, "do_not_disturb");
+  });
+
+  it("sends silently in silent mode", async () => {
+    const t = setup();
+    await t.addToken("u1", "token-a");
+    await t.setSettings("u1", {
+      timezone: "UTC",
+      quietHours: quietNow,
+      quietMode: "silent",
+    });
+    await t.addNotification("u1", "n1");
+
+    assert.equal(await t.sweep(), 1);
+
+    const [message] = t.messaging.requests;
+    assert.equal(message.android.priority, "normal");
+    assert.equal(message.android.notification.sound, undefined);
+    assert.equal(message.apns.headers["apns-priority"], "5");
+    assert.equal(message.webpush.notification.silent, true);
+    const data = await t.getData("users/u1/pushNotifications/n1");
+    assert.equal(data.status, "sent");
+    assert.equal(data.deliveryDecision.action, "silent");
+  });
+
+  it("sends normally outside quiet hours", async () => {
+    const t = setup();
+    await t.addToken("u1", "token-a");
+    await t.setSettings("u1", {
+      timezone: "UTC",
+      quietHours: { start: utcTimeOfDay(2), end: utcTimeOfDay(4) },
+    });
+    await t.addNotification("u1", "n1");
+
+    assert.equal(await t.sweep(), 1);
+
+    assert.equal(t.messaging.requests[0].android.priority, "high");
+  });
+});
+
+describe("digest mode", () => {
+  const addDueReminders = async (t, count) => {
+    for (let i = 1; i <= count; i++) {
+      await t.addNotification("u1", `n${i}`, { eventName: `Event ${i}` });
+    }
+  };
+
+  it("collapses several due reminders into one push", async () => {
+    const t = setup();
+    await t.addToken("u1", "token-a");
+    await t.setSettings("u1", { digest: { enabled: true } });
+    await addDueReminders(t, 3);
+
+    assert.equal(await t.sweep(), 1);
+
+    assert.equal(t.messaging.requests.length, 1);
+    const [message] = t.messaging.requests;
+    assert.equal(message.notification.title, "🔔 3 events starting soon");
+    assert.equal(message.notification.body, "Event 1, Event 2, Event 3");
+    const first = await t.getData("users/u1/pushNotifications/n1");
+    assert.equal(first.status, "sent");
+    assert.ok(first.digestId);
+    const digest = await t.getData(
+      `users/u1/notificationDigests/${first.digestId}`,
+    );
+    assert.deepEqual(digest.notificationIds, ["n1", "n2", "n3"]);
+    assert.equal(digest.status, "sent");
+    for (const id of ["n2", "n3"]) {
+      const data = await t.getData(`users/u1/pushNotifications/${id}`);
+      assert.equal(data.digestId, first.digestId);
+    }
+  });
+
+  it("sends individually below minCount", async () => {
+    const t = setup();
+    await t.addToken("u1", "token-a");
+    await t.setSettings("u1", { digest: { enabled: true, minCount: 3 } });
+    await addDueReminders(t, 2);
+
+    assert.equal(await t.sweep(), 2);
+
+    assert.equal(t.messaging.requests.length, 2);
+    const data = await t.getData("users/u1/pushNotifications/n1");
+    assert.equal(data.digestId, undefined);
+  });
+
+  it("retries every reminder of a digest together", async () => {
+    const t = setup();
+    await t.addToken("u1", "token-a");
+    await t.setSettings("u1", { digest: { enabled: true } });
+    await addDueReminders(t, 2);
+    t.messaging.failNextRequest("messaging/server-unavailable");
+
+    assert.equal(await t.sweep(), 0);
+
+    for (const id of ["n1", "n2"]) {
+      const data = await t.getData(`users/u1/pushNotifications/${id}`);
+      assert.equal(data.status, "retrying");
+      assert.equal(data.retryCount, 1);
+      await t.db
+        .doc(`users/u1/pushNotifications/${id}`)
+        .update({ nextAttemptAt: Date.now() - 1000 });
+    }
+
+    assert.equal(await t.sweep(), 1);
+
+    assert.equal(t.messaging.requests.length, 2);
+    assert.equal(
+      t.messaging.requests[1].notification.title,
+      "🔔 2 events starting soon",
+    );
+    const data = await t.getData("users/u1/pushNotifications/n2");
+    assert.equal(data.status, "sent");
+  });
+
+  it("sends the digest silently during silent quiet hours", async () => {
+    const t = setup();
+    await t.addToken("u1", "token-a");
+    await t.setSettings("u1", {
+      digest: { enabled: true },
+      doNotDisturb: true,
+      quietMode: "silent",
+    });
+    await addDueReminders(t, 2);
+
+    assert.equal(await t.sweep(), 1);
+
+    const [message] = t.messaging.requests;
+    assert.equal(message.data.type, "digest");
+    assert.equal(message.webpush.notification.silent, true);
+  });
+});
+
+describe("catch-up", () => {
+  it("sends reminders missed within the grace period late", async () => {
+    const t = setup();
+    await t.addToken("u1", "token-a");
+    await t.db
+      .doc("serviceState/notificationSweep")
+      .set({ lastSuccessfulSweepAt: Date.now() - 10 * 60000 });
+    await t.addNotification("u1", "n1", { fireAt: Date.now() - 5 * 60000 });
+
+    assert.equal(await t.sweep(), 1);
+
+    const data = await t.getData("users/u1/pushNotifications/n1");
+    assert.equal(data.status, "sent");
+    assert.equal(data.late, true);
+    assert.ok(data.lateByMs >= 5 * 60000);
+    assert.equal(t.messaging.requests[0].data.late, "true");
+  });
+
+  it("expires reminders missed for longer than the grace period", async () => {
+    const t = setup();
+    await t.addToken("u1", "token-a");
+    await t.db
+      .doc("serviceState/notificationSweep")
+      .set({ lastSuccessfulSweepAt: Date.now() - 60 * 60000 });
+    const fireAt = Math.floor(Date.now() / 1000) * 1000 - 30 * 60000;
+    await t.addNotification("u1", "n1", { fireAt });
+    await t.addNotification("u1", "daily", {
+      fireAt,
+      recurrence: { rrule: "FREQ=DAILY", timezone: "UTC" },
+    });
+
+    assert.equal(await t.sweep(), 0);
+
+    assert.equal(t.messaging.requests.length, 0);
+    const expired = await t.getData("users/u1/pushNotifications/n1");
+    assert.equal(expired.status, "expired");
+    assert.match(expired.note, /grace period/);
+    const series = await t.getData("users/u1/pushNotifications/daily");
+    assert.equal(series.status, "scheduled");
+    assert.equal(series.fireAt, fireAt + DAY_MS);
+  });
+});
+
+describe("sweep", () => {
+  it("skips notifications leased by another sweep", async () => {
+    const t = setup();
+    await t.addToken("u1", "token-a");
+    await t.addNotification("u1", "n1", {
+      status: "sending",
+      leaseOwner: "other",
+      leaseExpiresAt: Date.now() + 60000,
+    });
+
+    assert.equal(await t.sweep(), 0);
+
+    assert.equal(t.messaging.requests.length, 0);
+    const data = await t.getData("users/u1/pushNotifications/n1");
+    assert.equal(data.leaseOwner, "other");
+  });
+
+  it("recovers notifications whose lease expired", async () => {
+    const t = setup();
+    await t.addToken("u1", "token-a");
+    await t.addNotification("u1", "n1", {
+      status: "sending",
+      leaseOwner: "crashed",
+      leaseExpiresAt: Date.now() - 1000,
+    });
+
+    assert.equal(await t.sweep(), 1);
+
+    const data = await t.getData("users/u1/pushNotifications/n1");
+    assert.equal(data.status, "sent");
+    assert.equal(data.leaseOwner, undefined);
+  });
+
+  it("writes each user's outcome before the rest of the sweep finishes", async () => {
+    const t = setup();
+    await t.addToken("u1", "token-a");
+    await t.addToken("u2", "token-b");
+    await t.addNotification("u1", "n1");
+    await t.addNotification("u2", "n2");
+    let release;
+    const blocked = new Promise((resolve) => (release = resolve));
+    const send = t.messaging.sendEachForMulticast;
+    t.messaging.sendEachForMulticast = async (message) => {
+      if (message.tokens.includes("token-b")) {
+        await blocked;
+      }
+      return send(message);
+    };
+
+    const sweep = t.sweep();
+    let status;
+    for (let i = 0; i < 50 && status !== "sent"; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      status = (await t.getData("users/u1/pushNotifications/n1")).status;
+    }
+    release();
+
+    assert.equal(status, "sent");
+    assert.equal(await sweep, 2);
+  });
+
+  it("moves a recurring series on after a failed occurrence", async () => {
+    const t = setup();
+    await t.addToken("u1", "token-a");
+    const fireAt = Math.floor(Date.now() / 1000) * 1000 - 1000;
+    await t.addNotification("u1", "n1", {
+      fireAt,
+      recurrence: { rrule: "FREQ=DAILY", timezone: "UTC" },
+    });
+    t.messaging.failNextRequest("messaging/invalid-argument");
+
+    assert.equal(await t.sweep(), 0);
+
+    const data = await t.getData("users/u1/pushNotifications/n1");
+    assert.equal(data.status, "scheduled");
+    assert.equal(data.lastStatus, "failed");
+    assert.equal(data.errorCode, "messaging/invalid-argument");
+    assert.equal(data.fireAt, fireAt + DAY_MS);
+    assert.equal(data.occurrenceCount, 2);
+  });
+
+  it("advances the watermark after a successful sweep", async () => {
+    const t = setup();
+    const before = Date.now();
+
+    await t.sweep();
+
+    const state = await t.getData("serviceState/notificationSweep");
+    assert.ok(state.lastSuccessfulSweepAt >= before);
+  });
+
+  it("plans a dry run without sending or writing", async () => {
+    const t = setup();
+    await t.addToken("u1", "token-a", { deviceId: "d1" });
+    await t.addNotification("u1", "n1", { deviceId: "d1" });
+
+    const plan = await t.plan();
+
+    assert.equal(plan.count, 1);
+    assert.equal(plan.notifications[0].targeting.path, "creating-device");
+    assert.equal(t.messaging.requests.length, 0);
+    const data = await t.getData("users/u1/pushNotifications/n1");
+    assert.equal(data.status, "scheduled");
+    assert.equal(await t.getData("serviceState/notificationSweep"), undefined);
+  });
+});
+
+describe("group broadcasts", () => {
+  async function setupGroup(delivery) {
+    const t = setup();
+    await t.db.doc("groups/g1").set({
+      name: "Team",
+      memberIds: ["u1", "u2", "u3"],
+      ...(delivery && { delivery }),
+    });
+    await t.addToken("u1", "token-a");
+    await t.addToken("u2", "token-b");
+    await t.addToken("u3", "token-c");
+    await t.db
+      .doc("users/u3/settings/notifications")
+      .set({ mutedGroups: ["g1"] });
+    return t;
+  }
+
+  it("multicasts to every unmuted member", async () => {
+    const t = await setupGroup();
+    await t.addBroadcast("g1", "b1");
+
+    assert.equal(await t.sweep(), 2);
+
+    assert.deepEqual(t.messaging.requests[0].tokens, ["token-a", "token-b"]);
+    assert.equal(t.messaging.requests[0].data.groupId, "g1");
+    const data = await t.getData("groups/g1/broadcasts/b1");
+    assert.equal(data.status, "sent");
+    assert.equal(data.delivery, "multicast");
+    assert.deepEqual(data.fanout, {
+      memberCount: 3,
+      mutedCount: 1,
+      tokenCount: 2,
+      successCount: 2,
+      failureCount: 0,
+    });
+    const [attempt] = await t.getAttempts("groups/g1/broadcasts/b1");
+    assert.equal(attempt.path, "group-multicast");
+  });
+
+  it("cleans up dead member tokens", async () => {
+    const t = await setupGroup();
+    await t.addBroadcast("g1", "b1");
+    t.messaging.failToken(
+      "token-b",
+      "messaging/registration-token-not-registered",
+    );
+
+    assert.equal(await t.sweep(), 1);
+
+    assert.equal(await t.getData("users/u2/fcmTokens/token-b"), undefined);
+    assert.deepEqual(await t.getData("users/u1/fcmTokens/token-a"), {});
+  });
+
+  it("sends once to the group topic", async () => {
+    const t = await setupGroup("topic");
+    await t.addBroadcast("g1", "b1");
+
+    assert.equal(await t.sweep(), 1);
+
+    assert.equal(t.messaging.requests.length, 1);
+    assert.equal(t.messaging.requests[0].topic, "group-g1");
+    assert.equal(t.messaging.requests[0].tokens, undefined);
+    const data = await t.getData("groups/g1/broadcasts/b1");
+    assert.equal(data.status, "sent");
+    assert.equal(data.topic, "group-g1");
+  });
+
+  it("escapes group IDs into valid topic names", () => {
+    assert.equal(topicForGroup("team(a)*!"), "group-team%28a%29%2A%21");
+    assert.match(topicForGroup("x y/é'"), /^[A-Za-z0-9\-_.~%]+$/);
+  });
+
+  it("retries a topic send after a transient error", async () => {
+    const t = await setupGroup("topic");
+    await t.addBroadcast("g1", "b1");
+    t.messaging.failNextRequest("messaging/server-unavailable");
+
+    assert.equal(await t.sweep(), 0);
+
+    const data = await t.getData("groups/g1/broadcasts/b1");
+    assert.equal(data.status, "retrying");
+  });
+
+  it("fails a broadcast whose group is gone", async () => {
+    const t = setup();
+    await t.addBroadcast("missing", "b1");
+
+    assert.equal(await t.sweep(), 0);
+
+    const data = await t.getData("groups/missing/broadcasts/b1");
+    assert.equal(data.status, "failed");
+    assert.equal(data.error, "Group not found");
+    assert.equal(t.messaging.requests.length, 0);
+  });
+
+  it("plans broadcasts in a dry run", async () => {
+    const t = await setupGroup();
+    await t.addBroadcast("g1", "b1");
+
+    const plan = await t.plan();
+
+    assert.equal(plan.broadcasts.length, 1);
+    assert.equal(plan.broadcasts[0].action, "broadcast");
+    assert.equal(plan.broadcasts[0].mutedCount, 1);
+    assert.equal(plan.broadcasts[0].tokens.length, 2);
+    assert.equal(t.messaging.requests.length, 0);
+    const data = await t.getData("groups/g1/broadcasts/b1");
+    assert.equal(data.status, "scheduled");
+  });
+});
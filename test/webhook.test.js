@@ -0,0 +1,41 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createWebhookChannel,
+  isAllowedWebhookUrl,
+} = require("../src/channels/webhook");
+
+const ALLOWED_HOSTS = ["hooks.example.com"];
+
+describe("webhook channel", () => {
+  it("only allows https URLs on an allowed host or its subdomains", () => {
+    const allowed = (url) => isAllowedWebhookUrl(url, ALLOWED_HOSTS);
+
+    assert.equal(allowed("https://hooks.example.com/u1"), true);
+    assert.equal(allowed("https://eu.HOOKS.example.com/u1"), true);
+    assert.equal(allowed("http://hooks.example.com/u1"), false);
+    assert.equal(allowed("https://evilhooks.example.com/"), false);
+    assert.equal(allowed("https://hooks.example.com.evil.io/"), false);
+    assert.equal(allowed("https://169.254.169.254/latest"), false);
+    assert.equal(allowed("not a url"), false);
+  });
+
+  it("refuses to send to a host that is not allowed", async () => {
+    const channel = createWebhookChannel({
+      signingSecret: "secret",
+      allowedHosts: ALLOWED_HOSTS,
+    });
+
+    const result = await channel.send({
+      userId: "u1",
+      notification: { id: "n1" },
+      message: { notification: {}, data: {} },
+      settings: { webhookUrl: "https://10.0.0.5/internal" },
+    });
+
+    assert.deepEqual(result, {
+      delivered: false,
+      error: "webhookUrl is not https on an allowed host",
+    });
+  });
+});